@@ -0,0 +1,195 @@
+/**
+ * @uistate/renderer/devtools: Binding inspector and update tracing
+ *
+ * Copyright (c) 2025 Ajdin Imsirovic
+ *
+ * const debug = createDevtools({ overlay: true });
+ * mount(store, root, { debug });
+ *
+ * debug.inspect(el)  -> what el is bound to, how often it updated, which
+ *                       actions it fired
+ * debug.stats()      -> totals, plus per-path binding and update counts
+ *                       (over-subscription and wasted renders show up here)
+ *
+ * The renderer reports every binding (node, attribute, path), every update
+ * a binding makes, every action with the value before and after, and every
+ * collection reconcile with the keys added, removed and moved. Nothing is
+ * recorded unless a mount was given `debug`.
+ */
+
+// Cheap fingerprint of what a leaf node shows; containers aren't compared
+function fingerprint(node) {
+  if (!node || node.nodeType !== 1 || node.children.length) return null;
+  return `${node.outerHTML}\u0000${node.value ?? ''}\u0000${node.checked ?? ''}`;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.overlay=false] - Flash a box over nodes as they update
+ * @param {number} [options.flash=400] - How long a flash stays, ms
+ * @param {number} [options.limit=200] - Actions and reconciles kept for inspection
+ * @param {boolean} [options.log=false] - Also console.debug actions and reconciles
+ */
+export function createDevtools(options = {}) {
+  const { flash = 400, limit = 200, log = false } = options;
+  let overlay = !!options.overlay;
+
+  const mounts = new Map();   // root -> { store, subscriptions() }
+  const bindings = new Map(); // node -> [{ attr, path, deps }]
+  let nodeStats = new WeakMap(); // node -> { updates, wasted, last }
+  const pathStats = new Map(); // path -> { bindings, updates, wasted }
+  const actions = [];         // most recent `limit` actions
+  const reconciles = [];      // most recent `limit` reconciles
+  const totals = { updates: 0, wasted: 0, actions: 0, reconciles: 0 };
+
+  const statsFor = path => {
+    if (!pathStats.has(path)) pathStats.set(path, { bindings: 0, updates: 0, wasted: 0 });
+    return pathStats.get(path);
+  };
+
+  function keep(list, entry) {
+    list.push(entry);
+    if (list.length > limit) list.shift();
+  }
+
+  function highlight(node, label) {
+    const doc = node.ownerDocument;
+    if (!doc || typeof node.getBoundingClientRect !== 'function') return;
+    const r = node.getBoundingClientRect();
+    const view = doc.defaultView || {};
+    const box = doc.createElement('div');
+    box.textContent = label;
+    box.setAttribute('data-devtools-flash', '');
+    Object.assign(box.style, {
+      position: 'absolute', pointerEvents: 'none', zIndex: '2147483647',
+      left: `${r.left + (view.scrollX || 0)}px`, top: `${r.top + (view.scrollY || 0)}px`,
+      width: `${r.width}px`, height: `${r.height}px`,
+      outline: '2px solid rgba(255, 64, 129, 0.9)', background: 'rgba(255, 64, 129, 0.12)',
+      font: '10px/1.2 monospace', color: '#c2185b', overflow: 'visible', whiteSpace: 'nowrap'
+    });
+    // Outside <body>, so no mount root (and no MutationObserver) sees it
+    doc.documentElement.appendChild(box);
+    setTimeout(() => box.remove(), flash);
+  }
+
+  return {
+    // -- Called by mount --
+
+    attach(root, info) {
+      mounts.set(root, info);
+    },
+
+    detach(root) {
+      mounts.delete(root);
+    },
+
+    // Returns the release function the mount calls when the node unbinds
+    binding(node, attr, path, deps = [path]) {
+      const entry = { attr, path, deps };
+      if (!bindings.has(node)) bindings.set(node, []);
+      bindings.get(node).push(entry);
+      deps.forEach(d => statsFor(d).bindings++);
+      return () => {
+        const list = bindings.get(node);
+        if (!list) return;
+        const i = list.indexOf(entry);
+        if (i !== -1) list.splice(i, 1);
+        if (!list.length) bindings.delete(node);
+        deps.forEach(d => statsFor(d).bindings--);
+      };
+    },
+
+    // Run one binding update; an update that leaves a leaf node exactly as
+    // it was is counted as wasted
+    update(node, attr, path, fn) {
+      const before = fingerprint(node);
+      const result = fn();
+      const wasted = before !== null && before === fingerprint(node);
+      const s = nodeStats.get(node) || { updates: 0, wasted: 0, last: null };
+      s.updates++;
+      s.last = Date.now();
+      if (wasted) s.wasted++;
+      nodeStats.set(node, s);
+      const p = statsFor(path);
+      p.updates++;
+      totals.updates++;
+      if (wasted) {
+        p.wasted++;
+        totals.wasted++;
+      } else if (overlay) {
+        highlight(node, `${attr} ${path}`);
+      }
+      return result;
+    },
+
+    action(entry) {
+      totals.actions++;
+      keep(actions, { ...entry, at: Date.now() });
+      if (log) console.debug('[uistate] action', entry.raw, entry.before, '->', entry.after);
+    },
+
+    reconcile(entry) {
+      totals.reconciles++;
+      keep(reconciles, { ...entry, at: Date.now() });
+      if (log) console.debug('[uistate] reconcile', entry.path, entry);
+    },
+
+    // -- Queries --
+
+    inspect(node) {
+      const s = nodeStats.get(node) || { updates: 0, wasted: 0, last: null };
+      let root = null;
+      for (const r of mounts.keys()) {
+        if (r.contains(node) && (!root || root.contains(r))) root = r;
+      }
+      return {
+        root,
+        bindings: (bindings.get(node) || []).map(b => ({ ...b, deps: [...b.deps] })),
+        updates: s.updates,
+        wasted: s.wasted,
+        lastUpdate: s.last,
+        actions: actions.filter(a => a.el === node),
+        reconciles: reconciles.filter(r => r.container === node)
+      };
+    },
+
+    stats() {
+      let count = 0;
+      for (const list of bindings.values()) count += list.length;
+      let subscriptions = 0;
+      for (const info of mounts.values()) subscriptions += info.subscriptions();
+      const paths = Array.from(pathStats, ([path, s]) => ({ path, ...s }))
+        .filter(s => s.bindings > 0 || s.updates > 0)
+        .sort((a, b) => b.bindings - a.bindings || b.updates - a.updates);
+      return {
+        mounts: mounts.size,
+        nodes: bindings.size,
+        bindings: count,
+        subscriptions,
+        ...totals,
+        paths
+      };
+    },
+
+    get actions() { return actions.slice(); },
+    get reconciles() { return reconciles.slice(); },
+
+    // Show or hide update flashes; with no argument, toggles
+    overlay(on = !overlay) {
+      overlay = !!on;
+      return overlay;
+    },
+
+    // Forget recorded activity; live bindings are kept
+    reset() {
+      actions.length = 0;
+      reconciles.length = 0;
+      for (const k of Object.keys(totals)) totals[k] = 0;
+      nodeStats = new WeakMap();
+      for (const s of pathStats.values()) {
+        s.updates = 0;
+        s.wasted = 0;
+      }
+    }
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * @uistate/renderer/history: Undo/redo for renderer-driven writes
+ *
+ * Copyright (c) 2025 Ajdin Imsirovic
+ *
+ * const history = createHistory(store);
+ * mount(store, root, { history });
+ *
+ * Every set / set-* / on-* action and bind-value commit becomes one undo
+ * step, recorded as { path, before, after } patches from the store's own
+ * change notifications. A store.batch (push) is one step; keystrokes in one
+ * input within `coalesce` ms merge into one step.
+ *
+ * <button set="history:undo" bind-attr-disabled="history.undoDisabled">
+ *
+ * The store gets history.canUndo / canRedo (booleans) and history.undoDisabled
+ * / redoDisabled (true or null, so bind-attr-disabled adds or removes it).
+ */
+
+const clone = v => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+
+/**
+ * @param {Object} store - EventState store
+ * @param {Object} [options]
+ * @param {string} [options.path='history'] - Where the can/disabled flags are written
+ * @param {number} [options.limit=100] - Steps kept on the undo stack
+ * @param {number} [options.coalesce=1000] - Merge window for repeated writes, ms
+ * @param {string[]} [options.ignore=[]] - Path prefixes never recorded
+ */
+export function createHistory(store, options = {}) {
+  const { path = 'history', limit = 100, coalesce = 1000 } = options;
+  const ignored = [path, ...(options.ignore || [])];
+  const undoStack = []; // steps: { key, at, patches: Map(path -> { before, after }) }
+  const redoStack = [];
+  let applying = false;
+  let depth = 0;
+  let step = null;
+  let sealed = false;   // after undo/redo the next write starts a new step
+
+  const skip = p => ignored.some(prefix => p === prefix || p.startsWith(`${prefix}.`));
+
+  function sync() {
+    const flags = {
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0,
+      undoDisabled: undoStack.length > 0 ? null : true,
+      redoDisabled: redoStack.length > 0 ? null : true
+    };
+    for (const [name, v] of Object.entries(flags)) {
+      if (store.get(`${path}.${name}`) !== v) store.set(`${path}.${name}`, v);
+    }
+  }
+
+  // Write `value` at `p`; undefined removes the key (or array index)
+  function put(p, value) {
+    const dot = p.lastIndexOf('.');
+    if (value !== undefined || dot === -1) {
+      store.set(p, value === undefined ? null : clone(value));
+      return;
+    }
+    const parent = store.get(p.slice(0, dot));
+    const key = p.slice(dot + 1);
+    if (!parent || typeof parent !== 'object' || !(key in parent)) return;
+    const rest = Array.isArray(parent) ? parent.filter((_, i) => String(i) !== key) :
+      Object.fromEntries(Object.entries(parent).filter(([k]) => k !== key));
+    store.set(p.slice(0, dot), rest);
+  }
+
+  function apply(patches, forward) {
+    const list = Array.from(patches);
+    if (!forward) list.reverse();
+    applying = true;
+    try {
+      for (const [p, { before, after }] of list) put(p, forward ? after : before);
+    } finally {
+      applying = false;
+    }
+  }
+
+  /**
+   * Run `fn` and record the writes it makes as one undo step. Nested calls
+   * join the outer step. Consecutive steps with the same `key` (e.g. the
+   * input element being typed into) within `coalesce` ms are merged.
+   */
+  function record(fn, key = null) {
+    if (applying) return fn();
+    if (depth > 0) {
+      depth++;
+      try { return fn(); } finally { depth--; }
+    }
+
+    step = { key, at: Date.now(), patches: new Map() };
+    const unsub = store.subscribe('*', ({ path: p, value, oldValue }) => {
+      if (applying || skip(p)) return;
+      const seen = step.patches.get(p);
+      if (seen) seen.after = clone(value);
+      else step.patches.set(p, { before: clone(oldValue), after: clone(value) });
+    });
+    depth = 1;
+    try {
+      return fn();
+    } finally {
+      depth = 0;
+      unsub();
+      const done = step;
+      step = null;
+      commit(done);
+    }
+  }
+
+  function commit(done) {
+    if (!done.patches.size) return;
+    const last = undoStack[undoStack.length - 1];
+    if (last && !sealed && done.key != null && last.key === done.key && done.at - last.at <= coalesce) {
+      for (const [p, patch] of done.patches) {
+        const seen = last.patches.get(p);
+        if (seen) seen.after = patch.after;
+        else last.patches.set(p, patch);
+      }
+      last.at = done.at;
+    } else {
+      undoStack.push(done);
+      if (undoStack.length > limit) undoStack.shift();
+    }
+    redoStack.length = 0;
+    sealed = false;
+    sync();
+  }
+
+  function undo() {
+    const s = undoStack.pop();
+    if (!s) return false;
+    apply(s.patches, false);
+    redoStack.push(s);
+    sealed = true;
+    sync();
+    return true;
+  }
+
+  function redo() {
+    const s = redoStack.pop();
+    if (!s) return false;
+    apply(s.patches, true);
+    undoStack.push(s);
+    sealed = true;
+    sync();
+    return true;
+  }
+
+  function clear() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    sync();
+  }
+
+  sync();
+
+  return {
+    path,
+    record,
+    undo,
+    redo,
+    clear,
+    ignore(prefix) {
+      if (prefix && !ignored.includes(prefix)) ignored.push(prefix);
+    },
+    get canUndo() { return undoStack.length > 0; },
+    get canRedo() { return redoStack.length > 0; }
+  };
+}
@@ -8,6 +8,43 @@
 export {
   parseSetExpr,
   evalExpr,
+  resolveOperand,
+  parseLiteral,
+  parseCall,
+  parseHandler,
+  parseOn,
+  matchKeys,
+  parseBinding,
+  evalBinding,
+  toClassList,
+  styleValue,
+  controlKind,
+  parseBindValue,
+  readControl,
+  writeControl,
+  parseRules,
+  validateValue,
   parsePush,
-  mount
+  checkPush,
+  nextKey,
+  parseCondition,
+  collectionEntries,
+  planMoves,
+  affectsCollection,
+  visibleRange,
+  transitionTimeout,
+  scopePath,
+  fillPlaceholders,
+  defineDirective,
+  defineAction,
+  defineFormatter,
+  mount,
+  hydrate,
+  flush
 } from './renderer.js';
+
+export { renderToString } from './ssr.js';
+export { createHistory } from './history.js';
+export { createRouter, matchRoute, buildPath, resolveRoute } from './router.js';
+export { createPersist, migrate, webStorage, memoryStorage, indexedDBStorage } from './persist.js';
+export { createDevtools } from './devtools.js';
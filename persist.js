@@ -0,0 +1,271 @@
+/**
+ * @uistate/renderer/persist: Save store subtrees to browser storage
+ *
+ * Copyright (c) 2025 Ajdin Imsirovic
+ *
+ * const persist = createPersist(store, { paths: ['todos'], version: 2,
+ *   migrations: { 2: todos => ... } });
+ * mount(store, root, { persist });
+ *
+ * <ul each="todos" persist="todos">   (same as listing it in paths)
+ *
+ * Each path is restored before it is first rendered (await persist.ready
+ * first with an async backend such as IndexedDB), written back debounced
+ * on change, and kept in sync with other tabs.
+ *
+ * A backend is { get(key), set(key, value), remove(key), watch?(fn) };
+ * get may return a promise, and watch(fn) reports (key, value) changes
+ * made elsewhere.
+ */
+
+/**
+ * Bring `data` saved at version `from` up to version `to` by running
+ * migrations[from + 1] ... migrations[to] in order. Data from a newer
+ * version than `to` can't be trusted and yields undefined.
+ * @param {*} data
+ * @param {number} from
+ * @param {number} to
+ * @param {Object} [migrations] - target version -> data => data
+ * @returns {*}
+ */
+export function migrate(data, from, to, migrations = {}) {
+  if (from > to) return undefined;
+  let out = data;
+  for (let v = from + 1; v <= to; v++) {
+    if (typeof migrations[v] === 'function') out = migrations[v](out);
+  }
+  return out;
+}
+
+// -- Backends ----------------------------------------------------------
+
+/**
+ * localStorage / sessionStorage. Other tabs' writes arrive through the
+ * window's storage event.
+ * @param {Storage} area
+ * @param {Window} [win]
+ */
+export function webStorage(area, win = globalThis.window) {
+  return {
+    get: key => area.getItem(key),
+    set: (key, value) => area.setItem(key, value),
+    remove: key => area.removeItem(key),
+    watch(fn) {
+      if (!win) return () => {};
+      const onStorage = e => {
+        if (e.storageArea === area && e.key != null) fn(e.key, e.newValue);
+      };
+      win.addEventListener('storage', onStorage);
+      return () => win.removeEventListener('storage', onStorage);
+    }
+  };
+}
+
+/**
+ * In-memory stand-in for tests. Persisters sharing one `map` behave like
+ * tabs sharing one localStorage.
+ * @param {Map} [map]
+ */
+export function memoryStorage(map = new Map()) {
+  const watchers = new Set();
+  return {
+    map,
+    get: key => (map.has(key) ? map.get(key) : null),
+    set(key, value) {
+      map.set(key, value);
+      watchers.forEach(fn => fn(key, value));
+    },
+    remove(key) {
+      map.delete(key);
+      watchers.forEach(fn => fn(key, null));
+    },
+    watch(fn) {
+      watchers.add(fn);
+      return () => watchers.delete(fn);
+    }
+  };
+}
+
+/**
+ * IndexedDB, for data too large for localStorage. Reads are async, so
+ * await persist.ready before mounting. Tabs are kept in sync over a
+ * BroadcastChannel where one exists.
+ * @param {Object} [options]
+ * @param {string} [options.name='uistate'] - Database name
+ * @param {string} [options.store='persist'] - Object store name
+ */
+export function indexedDBStorage(options = {}) {
+  const { name = 'uistate', store = 'persist' } = options;
+  let db = null;
+  const open = () => db || (db = new Promise((resolve, reject) => {
+    const req = globalThis.indexedDB.open(name, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(store);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+  const run = (mode, fn) => open().then(d => new Promise((resolve, reject) => {
+    const req = fn(d.transaction(store, mode).objectStore(store));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+  const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(`${name}:${store}`) : null;
+
+  return {
+    get: key => run('readonly', s => s.get(key)).then(v => (v === undefined ? null : v)),
+    set(key, value) {
+      if (channel) channel.postMessage({ key, value });
+      return run('readwrite', s => s.put(value, key));
+    },
+    remove(key) {
+      if (channel) channel.postMessage({ key, value: null });
+      return run('readwrite', s => s.delete(key));
+    },
+    watch(fn) {
+      if (!channel) return () => {};
+      const onMessage = e => fn(e.data.key, e.data.value);
+      channel.addEventListener('message', onMessage);
+      return () => channel.removeEventListener('message', onMessage);
+    }
+  };
+}
+
+function backendFor(storage, win) {
+  if (storage && typeof storage === 'object') return storage;
+  if (storage === 'memory') return memoryStorage();
+  if (storage === 'indexeddb') return indexedDBStorage();
+  if (storage === 'session') return webStorage(win.sessionStorage, win);
+  return webStorage(win.localStorage, win);
+}
+
+// -- Persister ---------------------------------------------------------
+
+/**
+ * @param {Object} store - EventState store
+ * @param {Object} [options]
+ * @param {string[]} [options.paths=[]] - Store paths to persist
+ * @param {'local'|'session'|'indexeddb'|'memory'|Object} [options.storage='local'] - Backend
+ * @param {string} [options.key='uistate'] - Storage key prefix; a path is saved at `key:path`
+ * @param {number} [options.version=1] - Schema version written with the data
+ * @param {Object} [options.migrations={}] - target version -> data => data
+ * @param {number} [options.debounce=100] - ms to wait after a change before writing
+ * @param {Window} [options.window] - Defaults to the global window
+ */
+export function createPersist(store, options = {}) {
+  const { key = 'uistate', version = 1, migrations = {}, debounce = 100 } = options;
+  const backend = backendFor(options.storage || 'local', options.window || globalThis.window);
+  const tracked = new Map(); // path -> { unsubs, timer }
+  const written = new Map(); // storage key -> last raw value read or written here
+  const loading = new Set(); // pending async restores
+  let applying = false;
+
+  const storageKey = p => `${key}:${p}`;
+
+  // Parse one stored record and put it in the store. Corrupt records and
+  // records from a newer schema are left alone.
+  function apply(p, raw) {
+    if (raw == null) return;
+    let saved;
+    try { saved = JSON.parse(raw); } catch { return; }
+    if (!saved || typeof saved !== 'object' || !('data' in saved)) return;
+    const data = migrate(saved.data, Number(saved.v) || 1, version, migrations);
+    if (data === undefined) return;
+    written.set(storageKey(p), raw);
+    applying = true;
+    try {
+      store.set(p, data);
+    } finally {
+      applying = false;
+    }
+    if (saved.v !== version) write(p);
+  }
+
+  function restore(p) {
+    const raw = backend.get(storageKey(p));
+    if (!raw || typeof raw.then !== 'function') return apply(p, raw);
+    const pending = raw.then(v => apply(p, v), () => {}).finally(() => loading.delete(pending));
+    loading.add(pending);
+  }
+
+  function write(p) {
+    const entry = tracked.get(p);
+    if (entry) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+    const value = store.get(p);
+    const k = storageKey(p);
+    if (value === undefined) {
+      written.delete(k);
+      return backend.remove(k);
+    }
+    const raw = JSON.stringify({ v: version, data: value });
+    if (written.get(k) === raw) return;
+    written.set(k, raw);
+    return backend.set(k, raw);
+  }
+
+  function schedule(p) {
+    if (applying) return;
+    const entry = tracked.get(p);
+    if (!entry) return;
+    if (debounce <= 0) return write(p);
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => write(p), debounce);
+  }
+
+  function track(p) {
+    if (!p || tracked.has(p)) return;
+    const entry = { timer: null, unsubs: [] };
+    tracked.set(p, entry);
+    restore(p);
+    entry.unsubs.push(store.subscribe(p, () => schedule(p)));
+    entry.unsubs.push(store.subscribe(`${p}.*`, () => schedule(p)));
+  }
+
+  function untrack(p) {
+    const entry = tracked.get(p);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    entry.unsubs.forEach(fn => fn());
+    tracked.delete(p);
+  }
+
+  // Another tab (or persister on the same backend) wrote a tracked path
+  const unwatch = backend.watch ? backend.watch((k, raw) => {
+    if (written.get(k) === raw) return;
+    for (const p of tracked.keys()) {
+      if (storageKey(p) === k) apply(p, raw);
+    }
+  }) : () => {};
+
+  (options.paths || []).forEach(track);
+
+  // Write every pending change now (e.g. on pagehide)
+  function flush() {
+    for (const [p, entry] of tracked) {
+      if (entry.timer) write(p);
+    }
+  }
+
+  return {
+    track,
+    untrack,
+    flush,
+    get ready() { return Promise.all(Array.from(loading)).then(() => {}); },
+    get paths() { return Array.from(tracked.keys()); },
+
+    // Forget the saved copy of one path, or of all tracked paths
+    clear(p) {
+      for (const q of p ? [p] : tracked.keys()) {
+        written.delete(storageKey(q));
+        backend.remove(storageKey(q));
+      }
+    },
+
+    stop() {
+      flush();
+      Array.from(tracked.keys()).forEach(untrack);
+      unwatch();
+    }
+  };
+}
@@ -4,9 +4,21 @@
  * Copyright (c) 2025 Ajdin Imsirovic
  *
  * Three primitives:
- *   1. Delegated Actions (DOM -> Store): set, set-blur, set-enter
- *   2. Direct Node Binding (Store -> DOM): bind-text, bind-value, bind-data-*, bind-focus
- *   3. Keyed Collections: each="path" + <template>
+ *   1. Delegated Actions (DOM -> Store): set, set-blur, set-enter, on-<event>.<modifiers>
+ *   2. Direct Node Binding (Store -> DOM): bind-text, bind-value, bind-data-*, bind-focus, bind-show,
+ *      bind-class, bind-class-*, bind-style-*
+ *      (bind-text / bind-attr-* / bind-data-* accept `a + ' ' + b | pipe:arg`)
+ *   3. Keyed Collections: each="path" + <template> (objects or arrays),
+ *      windowed with `virtual item-height="N"`
+ *
+ * Plus conditional content: bind-if="path" + <template> (and <template else>),
+ * route outlets: bind-route="route.name" + <template route="name"> (router.js),
+ * persisted subtrees: persist="path" (persist.js),
+ * partials: use="#template-id" scope="path" with relative `.paths` and <slot>s,
+ * and validate="rule|rule:arg" on bound inputs (errors land under errors.<path>).
+ * Custom bind-* directives and set keywords plug in via defineDirective /
+ * defineAction or mount options; the debug option traces every binding,
+ * update and action (devtools.js).
  *
  * No templates. No innerHTML. No interpolation. No diffing.
  * Event delegation survives DOM mutations. Bindings are surgical.
@@ -14,7 +26,13 @@
 
 // -- Pure helpers ------------------------------------------------------
 
-const BOUND = Symbol('r2');
+// Active mounts by root element. A mount never binds or handles events
+// inside another mount's root, so stores can be mounted on nested roots.
+const mounts = new Map(); // root -> { release(node), rebind(node), teardown(handBack) }
+
+// Caller content of each use="" host, as first found. Outlives a mount, so
+// mounting again slots the original nodes instead of the last render.
+const slotted = new WeakMap(); // host -> caller nodes
 
 export function parseSetExpr(raw) {
   const i = raw.indexOf(':');
@@ -22,41 +40,991 @@ export function parseSetExpr(raw) {
   return { path: raw.slice(0, i).trim(), expr: raw.slice(i + 1).trim() };
 }
 
-export function evalExpr(expr, current) {
+export function parseLiteral(token) {
+  if (token === 'true') return true;
+  if (token === 'false') return false;
+  if (token === 'null') return null;
+  const n = Number(token);
+  if (!isNaN(n) && token.trim() !== '') return n;
+  try { return JSON.parse(token); } catch (_) {}
+  return token;
+}
+
+// Split on a top-level separator; quotes and nested parens are kept intact
+function splitTop(str, sep = ',') {
+  const parts = [];
+  let depth = 0, quote = null, start = 0;
+  for (let i = 0; i < str.length; i++) {
+    const c = str[i];
+    if (quote) { if (c === quote && str[i - 1] !== '\\') quote = null; continue; }
+    if (c === '"' || c === "'") quote = c;
+    else if (c === '(') depth++;
+    else if (c === ')') depth--;
+    else if (c === sep && depth === 0) { parts.push(str.slice(start, i).trim()); start = i + 1; }
+  }
+  const last = str.slice(start).trim();
+  if (last || parts.length) parts.push(last);
+  return parts;
+}
+
+function parseArg(token) {
+  return /^'.*'$/.test(token) ? token.slice(1, -1) : parseLiteral(token);
+}
+
+// `name(arg, ...)` -> { name, args } with literal args; anything else -> null
+export function parseCall(expr) {
+  if (!expr) return null;
+  const m = expr.match(/^([A-Za-z_$][\w$-]*)\(([\s\S]*)\)$/);
+  if (!m) return null;
+  const raw = splitTop(m[2]);
+  return { name: m[1], args: raw.map(parseArg), raw };
+}
+
+// Entry `name` of a Map or plain-object registry. Own keys only, so
+// Object.prototype names (toString, valueOf, ...) are never registered.
+function lookup(table, name) {
+  if (!table) return undefined;
+  if (table instanceof Map) return table.get(name);
+  return Object.hasOwn(table, name) ? table[name] : undefined;
+}
+
+// Operand of `=`, `+=`, `-=`, min()/max(): `$event.path` reads the event,
+// literals stay literals, anything else is a store path read via ctx.get.
+export function resolveOperand(token, ctx = {}) {
+  const s = token.trim();
+  if (s === '$event') return ctx.event;
+  if (s.startsWith('$event.')) return readPath(ctx.event, s.slice(7));
+  if (/^'.*'$/.test(s)) return s.slice(1, -1);
+  const lit = parseLiteral(s);
+  if (lit !== s) return lit;
+  return ctx.get ? ctx.get(s) : undefined;
+}
+
+export function evalExpr(expr, current, ctx = {}) {
   if (expr == null) return current;
   if (expr === 'increment') return (Number(current) || 0) + 1;
   if (expr === 'decrement') return (Number(current) || 0) - 1;
   if (expr === 'toggle') return !current;
-  if (expr === 'true') return true;
-  if (expr === 'false') return false;
-  if (expr === 'null') return null;
-  const n = Number(expr);
-  if (!isNaN(n) && expr.trim() !== '') return n;
-  try { return JSON.parse(expr); } catch (_) {}
-  return expr;
+
+  // =path / +=x / -=x
+  if (expr.startsWith('=')) return resolveOperand(expr.slice(1), ctx);
+  if (expr.startsWith('+=')) return (Number(current) || 0) + (Number(resolveOperand(expr.slice(2), ctx)) || 0);
+  if (expr.startsWith('-=')) return (Number(current) || 0) - (Number(resolveOperand(expr.slice(2), ctx)) || 0);
+  if (expr.startsWith('$event')) return resolveOperand(expr, ctx);
+
+  const call = parseCall(expr);
+  const action = call && lookup(ctx.actions, call.name);
+  if (typeof action === 'function') return action(current, ...call.args);
+
+  // min(x) / max(x): clamp against a literal, path or $event value
+  if (call && (call.name === 'min' || call.name === 'max') && call.raw.length === 1) {
+    const bound = Number(resolveOperand(call.raw[0], ctx));
+    const n = Number(current) || 0;
+    if (isNaN(bound)) return n;
+    return call.name === 'min' ? Math.min(n, bound) : Math.max(n, bound);
+  }
+  return parseArg(expr);
+}
+
+// `@name(args)` / `@name` -> { name, args }; anything else -> null
+export function parseHandler(raw) {
+  const s = (raw || '').trim();
+  if (!s.startsWith('@')) return null;
+  if (/^@[A-Za-z_$][\w$-]*$/.test(s)) return { name: s.slice(1), args: [] };
+  return parseCall(s.slice(1));
+}
+
+// set-* shorthands for common on-* forms
+const SET_EVENTS = {
+  'set-change': 'on-change',
+  'set-input': 'on-input',
+  'set-dblclick': 'on-dblclick',
+  'set-submit': 'on-submit.prevent',
+  'set-escape': 'on-keydown.escape'
+};
+const ON_FLAGS = ['prevent', 'stop', 'once', 'self'];
+const SYSTEM_KEYS = ['ctrl', 'shift', 'alt', 'meta'];
+const KEY_ALIASES = {
+  esc: 'escape', space: ' ', del: 'delete',
+  up: 'arrowup', down: 'arrowdown', left: 'arrowleft', right: 'arrowright'
+};
+
+// 'on-keydown.ctrl+s.prevent' -> { event: 'keydown', prevent: true, keys: ['ctrl', 's'], ... }
+export function parseOn(name) {
+  const full = lookup(SET_EVENTS, name) || name;
+  if (!full.startsWith('on-')) return null;
+  const [event, ...mods] = full.slice(3).split('.');
+  if (!event) return null;
+
+  const on = { event, prevent: false, stop: false, once: false, self: false, debounce: null, keys: [] };
+  for (const m of mods) {
+    const d = m.match(/^debounce(?:\((\d+)\))?$/);
+    if (d) on.debounce = d[1] ? Number(d[1]) : 250;
+    else if (ON_FLAGS.includes(m)) on[m] = true;
+    else if (m) on.keys.push(...m.split('+').filter(Boolean));
+  }
+  return on;
+}
+
+// Key filter from parseOn().keys. Listing any of ctrl/shift/alt/meta makes
+// the combo exact: `ctrl.s` does not fire for ctrl+shift+s.
+export function matchKeys(keys, event) {
+  if (!keys.length) return true;
+  const system = keys.filter(k => SYSTEM_KEYS.includes(k));
+  if (system.length && SYSTEM_KEYS.some(k => !!event[`${k}Key`] !== system.includes(k))) return false;
+  const named = keys.filter(k => !SYSTEM_KEYS.includes(k));
+  if (!named.length) return true;
+  const key = String(event.key || '').toLowerCase();
+  return named.some(k => (lookup(KEY_ALIASES, k) || k) === key);
 }
 
+// 'user.first + " " + user.last | uppercase' ->
+//   { terms: [{ path }, { value }, { path }], pipes: [{ name, args }], deps }
+export function parseBinding(raw) {
+  const [expr, ...pipeParts] = splitTop(raw || '', '|');
+  const terms = splitTop(expr || '', '+').map(tok => {
+    if (/^'.*'$/.test(tok)) return { value: tok.slice(1, -1) };
+    const lit = parseLiteral(tok);
+    return lit !== tok ? { value: lit } : { path: tok };
+  });
+  const pipes = pipeParts.map(part => {
+    const [name, ...args] = splitTop(part, ':');
+    return { name, args: args.map(parseArg) };
+  });
+  const deps = [...new Set(terms.filter(t => t.path).map(t => t.path))];
+  return { terms, pipes, deps };
+}
+
+// Evaluate a parseBinding() result: numbers add, anything else concatenates
+// as text (null/undefined as ''), then the value runs through the pipes.
+// Pipes missing from `fmts` fall back to the registered formatters.
+// With `onPipeError(name, err)`, a pipe that throws is skipped instead.
+export function evalBinding(binding, get, fmts = {}, onPipeError = null) {
+  let value;
+  binding.terms.forEach((t, i) => {
+    const v = t.path ? get(t.path) : t.value;
+    if (i === 0) value = v;
+    else if (typeof value === 'number' && typeof v === 'number') value += v;
+    else value = `${value ?? ''}${v ?? ''}`;
+  });
+  for (const { name, args } of binding.pipes) {
+    const fn = lookup(fmts, name) || formatters.get(name);
+    if (typeof fn !== 'function') continue;
+    if (!onPipeError) {
+      value = fn(value, ...args);
+      continue;
+    }
+    try {
+      value = fn(value, ...args);
+    } catch (err) {
+      onPipeError(name, err);
+    }
+  }
+  return value;
+}
+
+// 'a b' / ['a', 'b'] / { a: true, b: false } -> ['a', 'b']
+export function toClassList(value) {
+  if (value == null || value === false) return [];
+  if (Array.isArray(value)) return value.flatMap(toClassList);
+  if (typeof value === 'object') return Object.keys(value).filter(k => value[k]);
+  return String(value).split(/\s+/).filter(Boolean);
+}
+
+const UNITLESS = new Set([
+  'opacity', 'z-index', 'font-weight', 'line-height', 'flex', 'flex-grow', 'flex-shrink',
+  'order', 'zoom', 'orphans', 'widows', 'tab-size', 'column-count', 'aspect-ratio', 'scale',
+  'animation-iteration-count', 'fill-opacity', 'stroke-opacity', 'stroke-width',
+  'grid-row', 'grid-row-start', 'grid-row-end', 'grid-column', 'grid-column-start', 'grid-column-end'
+]);
+
+// CSS value for a bound style property; null means "remove the property".
+// Numbers get `unit`, or px unless the property is unitless or custom.
+export function styleValue(prop, value, unit) {
+  if (value == null || value === false || value === '') return null;
+  if (typeof value !== 'number') return String(value);
+  if (unit) return `${value}${unit}`;
+  if (prop.startsWith('--') || UNITLESS.has(prop)) return String(value);
+  return `${value}px`;
+}
+
+// -- Form controls --
+
+const DATE_TYPES = ['date', 'datetime-local', 'month', 'week', 'time'];
+
+// text | number | date | checkbox | radio | file | select | multiple | editable
+export function controlKind(node) {
+  const tag = String(node.tagName).toUpperCase();
+  if (tag === 'SELECT') return node.multiple ? 'multiple' : 'select';
+  if (tag === 'TEXTAREA') return 'text';
+  if (tag !== 'INPUT') return 'editable';
+  const type = String(node.type || 'text').toLowerCase();
+  if (type === 'number' || type === 'range') return 'number';
+  if (DATE_TYPES.includes(type)) return 'date';
+  if (type === 'checkbox' || type === 'radio' || type === 'file') return type;
+  return 'text';
+}
+
+// 'bind-value.lazy.trim.debounce(300)' -> { lazy, trim, number, debounce }
+export function parseBindValue(name) {
+  if (name !== 'bind-value' && !name.startsWith('bind-value.')) return null;
+  const opts = { lazy: false, trim: false, number: false, debounce: null };
+  for (const m of name.split('.').slice(1)) {
+    const d = m.match(/^debounce(?:\((\d+)\))?$/);
+    if (d) opts.debounce = d[1] ? Number(d[1]) : 250;
+    else if (m in opts) opts[m] = true;
+  }
+  return opts;
+}
+
+// Value to store for a control. `current` is the stored value: an array
+// turns a checkbox into a member of a group. undefined means "don't write"
+// (an unchecked radio).
+export function readControl(node, current, opts = {}) {
+  const kind = controlKind(node);
+  if (kind === 'checkbox') {
+    if (!Array.isArray(current)) return node.checked;
+    const rest = current.filter(v => v !== node.value);
+    return node.checked ? [...rest, node.value] : rest;
+  }
+  if (kind === 'radio') return node.checked ? node.value : undefined;
+  if (kind === 'multiple') return Array.from(node.options).filter(o => o.selected).map(o => o.value);
+  if (kind === 'file') return Array.from(node.files || []);
+
+  let v = kind === 'editable' ? node.textContent : node.value;
+  if (opts.trim) v = v.trim();
+  if (kind === 'number' || kind === 'date') return v === '' ? null : kind === 'number' ? Number(v) : v;
+  if (opts.number && v.trim() !== '' && !isNaN(Number(v))) return Number(v);
+  return v;
+}
+
+// Reflect a stored value into a control, leaving it alone when it already
+// shows that value (keeps the caret and half-typed numbers like "1.").
+export function writeControl(node, v) {
+  const kind = controlKind(node);
+  if (kind === 'checkbox') {
+    const on = Array.isArray(v) ? v.includes(node.value) : !!v;
+    if (node.checked !== on) node.checked = on;
+  } else if (kind === 'radio') {
+    const on = v != null && String(v) === node.value;
+    if (node.checked !== on) node.checked = on;
+  } else if (kind === 'multiple') {
+    const vals = Array.isArray(v) ? v.map(String) : [];
+    for (const o of Array.from(node.options)) o.selected = vals.includes(o.value);
+  } else if (kind === 'file') {
+    if (v == null || (Array.isArray(v) && !v.length)) node.value = '';
+  } else if (kind === 'editable') {
+    const s = v != null ? String(v) : '';
+    if (node.textContent !== s) node.textContent = s;
+  } else if (kind === 'number') {
+    if (v == null || v === '') { if (node.value !== '') node.value = ''; }
+    else if (node.value === '' || Number(node.value) !== Number(v)) node.value = String(v);
+  } else {
+    let s = v != null ? String(v) : '';
+    if (kind === 'date' && v instanceof Date) {
+      const iso = v.toISOString();
+      s = node.type === 'date' ? iso.slice(0, 10) : node.type === 'month' ? iso.slice(0, 7) : iso.slice(0, 16);
+    }
+    if (node.value !== s) node.value = s;
+  }
+}
+
+// -- Validation --
+
+// 'required|minlength:3|pattern:^[a-z|]+$' -> [{ name, arg }]. `pattern`
+// takes the rest of the string, so its regex may contain | and :.
+export function parseRules(str) {
+  const rules = [];
+  let rest = (str || '').trim();
+  while (rest) {
+    const m = rest.match(/^([\w-]+)(?::)?/);
+    if (!m) break;
+    const name = m[1];
+    rest = rest.slice(m[0].length);
+    if (name === 'pattern') {
+      rules.push({ name, arg: rest });
+      break;
+    }
+    const bar = rest.indexOf('|');
+    const arg = m[0].endsWith(':') ? (bar === -1 ? rest : rest.slice(0, bar)) : null;
+    rules.push({ name, arg: arg == null ? null : arg.trim() });
+    rest = bar === -1 ? '' : rest.slice(bar + 1).trim();
+  }
+  return rules;
+}
+
+const isEmpty = v => v == null || v === '' || (Array.isArray(v) && v.length === 0);
+
+// Each rule returns an error message or null. Empty values only fail `required`.
+const RULES = {
+  required: v => isEmpty(v) || v === false ? 'Required' : null,
+  minlength: (v, n) => String(v).length < Number(n) ? `At least ${n} characters` : null,
+  maxlength: (v, n) => String(v).length > Number(n) ? `At most ${n} characters` : null,
+  min: (v, n) => Number(v) < Number(n) ? `Must be at least ${n}` : null,
+  max: (v, n) => Number(v) > Number(n) ? `Must be at most ${n}` : null,
+  number: v => isNaN(Number(v)) ? 'Must be a number' : null,
+  integer: v => !Number.isInteger(Number(v)) ? 'Must be a whole number' : null,
+  email: v => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v)) ? null : 'Invalid email',
+  pattern: (v, re) => new RegExp(re).test(String(v)) ? null : 'Invalid format'
+};
+
+// First failing rule's message, or null when valid. `custom` adds or
+// overrides rules: { name: (value, arg) => message | null }.
+// With `onRuleError(name, err)`, a rule that throws (`pattern:` with a bad
+// regex) is skipped instead.
+export function validateValue(value, rules, custom = {}, onRuleError = null) {
+  const list = typeof rules === 'string' ? parseRules(rules) : rules;
+  for (const { name, arg } of list) {
+    const rule = lookup(custom, name) || lookup(RULES, name);
+    if (typeof rule !== 'function') continue;
+    if (name !== 'required' && isEmpty(value)) continue;
+    let msg;
+    if (!onRuleError) {
+      msg = rule(value, arg);
+    } else {
+      try {
+        msg = rule(value, arg);
+      } catch (err) {
+        onRuleError(name, err);
+        continue;
+      }
+    }
+    if (msg) return msg;
+  }
+  return null;
+}
+
+// 'push(draft, key=uuid, reset=defaults.todo)' ->
+// { source: 'draft', key: 'uuid', prefix: null, reset: 'defaults.todo' }
 export function parsePush(expr) {
   if (!expr) return null;
-  if (expr === 'push') return { source: null };
-  const m = expr.match(/^push\(([^)]+)\)$/);
-  return m ? { source: m[1].trim() } : null;
+  if (expr === 'push') return { source: null, key: null, prefix: null, reset: null };
+  const m = expr.match(/^push\((.+)\)$/);
+  if (!m) return null;
+  const [source, ...opts] = m[1].split(',').map(s => s.trim());
+  const result = { source, key: null, prefix: null, reset: null };
+  for (const opt of opts) {
+    const eq = opt.indexOf('=');
+    const name = eq === -1 ? opt : opt.slice(0, eq).trim();
+    if (name in result && name !== 'source' && eq !== -1) result[name] = opt.slice(eq + 1).trim();
+  }
+  return result;
+}
+
+// Why a `push...` expression can't run as written, or null when it is
+// fine or not a push at all (`label:push-button` is a plain string)
+const PUSH_OPTIONS = ['key', 'prefix', 'reset'];
+export function checkPush(expr) {
+  if (!expr || !/^push(\s*\(|\s+[\w$.]+$|$)/.test(expr)) return null;
+  const push = parsePush(expr);
+  if (!push) return `malformed push "${expr}", expected push(sourcePath, key=..., reset=...)`;
+  if (!push.source) return 'push needs a source path, e.g. push(draft)';
+  const inner = expr.slice(expr.indexOf('(') + 1, -1).split(',').slice(1);
+  for (const opt of inner) {
+    const name = opt.split('=')[0].trim();
+    if (!PUSH_OPTIONS.includes(name) || !opt.includes('=')) return `unknown push option "${opt.trim()}"`;
+  }
+  return null;
+}
+
+// Next counter key for a collection: one past the highest `<prefix><n>`
+// among `keys` and `last` (the highest issued so far), so keys are never
+// reused even after the newest item is deleted.
+export function nextKey(keys, prefix = 't_', last = 0) {
+  let max = last;
+  for (const k of keys) {
+    if (!k.startsWith(prefix)) continue;
+    const rest = k.slice(prefix.length);
+    if (/^\d+$/.test(rest)) max = Math.max(max, Number(rest));
+  }
+  return `${prefix}${max + 1}`;
+}
+
+function uuid() {
+  const c = globalThis.crypto;
+  if (c && typeof c.randomUUID === 'function') return c.randomUUID();
+  const b = new Uint8Array(16);
+  if (c && typeof c.getRandomValues === 'function') c.getRandomValues(b);
+  else for (let i = 0; i < 16; i++) b[i] = Math.floor(Math.random() * 256);
+  b[6] = (b[6] & 0x0f) | 0x40;
+  b[8] = (b[8] & 0x3f) | 0x80;
+  const h = Array.from(b, x => x.toString(16).padStart(2, '0')).join('');
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+}
+
+// Value a pushed source field goes back to when there's no reset template
+function emptyOf(v) {
+  return typeof v === 'string' ? '' :
+    typeof v === 'boolean' ? false :
+    typeof v === 'number' ? 0 : null;
+}
+
+export function parseCondition(raw) {
+  const s = (raw || '').trim();
+  if (s.startsWith('!')) return { path: s.slice(1).trim(), negate: true };
+  return { path: s, negate: false };
+}
+
+function readPath(obj, path) {
+  let cur = obj;
+  for (const p of path.split('.')) {
+    if (cur == null) return undefined;
+    cur = cur[p];
+  }
+  return cur;
+}
+
+function compareValues(a, b) {
+  if (a == null || b == null) return (a == null) - (b == null);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+// Ordered view of a collection: [{ key, seg, value }]. `seg` is the path
+// segment under the collection (array index or object key), `key` the
+// identity used for DOM reuse (`seg`, or a field named by `view.key`).
+export function collectionEntries(coll, view = {}) {
+  if (coll == null || typeof coll !== 'object') return [];
+  const { key: keyField, sortBy, filter } = view;
+  const segs = Array.isArray(coll) ? coll.map((_, i) => String(i)) : Object.keys(coll);
+  const seen = new Set();
+  let entries = [];
+
+  for (const seg of segs) {
+    const value = coll[seg];
+    if (value == null) continue;
+    const id = keyField ? readPath(value, keyField) : null;
+    const key = id != null ? String(id) : seg;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    entries.push({ key, seg, value });
+  }
+
+  if (filter) {
+    const { path, negate } = parseCondition(filter);
+    entries = entries.filter(e => !readPath(e.value, path) === negate);
+  }
+
+  if (sortBy) {
+    const desc = sortBy.startsWith('-');
+    const field = desc ? sortBy.slice(1) : sortBy;
+    entries.sort((a, b) => {
+      const av = readPath(a.value, field);
+      const bv = readPath(b.value, field);
+      if (av == null || bv == null) return compareValues(av, bv);
+      return desc ? compareValues(bv, av) : compareValues(av, bv);
+    });
+  }
+
+  return entries;
+}
+
+// Window of a fixed-height list: rows [start, end) intersect the viewport
+// (plus `overscan` rows either side). No height means render everything.
+export function visibleRange(scrollTop, viewport, itemHeight, count, overscan = 3) {
+  if (!(itemHeight > 0)) return { start: 0, end: count };
+  const first = Math.floor(Math.max(0, scrollTop) / itemHeight);
+  const last = Math.ceil((Math.max(0, scrollTop) + Math.max(0, viewport)) / itemHeight);
+  return {
+    start: Math.min(count, Math.max(0, first - overscan)),
+    end: Math.min(count, last + overscan)
+  };
+}
+
+// Does a change at `rel` (a path relative to the collection) require a
+// reconcile? Item-level changes always do; a deeper edit only when it
+// touches the field used for the key, the sort or the filter.
+export function affectsCollection(rel, view = {}) {
+  const dot = rel.indexOf('.');
+  if (dot === -1) return true;
+  const field = rel.slice(dot + 1);
+  const fields = [view.key, view.sortBy && view.sortBy.replace(/^-/, ''),
+    view.filter && parseCondition(view.filter).path];
+  return fields.some(f => f && (f === field || f.startsWith(`${field}.`) || field.startsWith(`${f}.`)));
+}
+
+// Keys that must be moved to turn `prev` order into `next` order. Everything
+// on the longest increasing subsequence stays put; keys new to `next` are
+// inserts, not moves.
+export function planMoves(prev, next) {
+  const pos = new Map(prev.map((k, i) => [k, i]));
+  const seq = next.filter(k => pos.has(k));
+  const tails = [];     // tails[len] = index into seq ending an LIS of len + 1
+  const back = [];      // back[i] = previous index in the LIS ending at i
+
+  for (let i = 0; i < seq.length; i++) {
+    const p = pos.get(seq[i]);
+    let lo = 0, hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (pos.get(seq[tails[mid]]) < p) lo = mid + 1;
+      else hi = mid;
+    }
+    back[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  }
+
+  const stay = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = back[i]) {
+    stay.add(seq[i]);
+  }
+  return new Set(seq.filter(k => !stay.has(k)));
+}
+
+// Placeholders are filled in attribute values and text, never in markup:
+// a key like `"><img onerror=...>` stays an inert string. Templates owned
+// by a nested `each` are skipped: their {_key}/{_path} belong to the inner
+// collection's items.
+export function fillPlaceholders(node, vars) {
+  const fill = str => str.replace(/\{(_\w+)\}/g, (m, name) => name in vars ? vars[name] : m);
+
+  if (node.nodeType === 3) {
+    if (node.nodeValue.includes('{')) node.nodeValue = fill(node.nodeValue);
+    return;
+  }
+  if (node.nodeType === 1) {
+    for (const attr of Array.from(node.attributes)) {
+      if (attr.value.includes('{')) attr.value = fill(attr.value);
+    }
+    if (node.tagName === 'TEMPLATE') {
+      if (!node.parentElement || !node.parentElement.hasAttribute('each')) {
+        fillPlaceholders(node.content, vars);
+      }
+      return;
+    }
+  }
+  for (const child of Array.from(node.childNodes)) fillPlaceholders(child, vars);
+}
+
+// Attributes and placeholder text of a pristine item, walked the same way
+// as fillPlaceholders, so a recycled row can be reset and filled again.
+function snapshot(node, snap = { attrs: [], texts: [] }) {
+  if (node.nodeType === 3) {
+    if (node.nodeValue.includes('{')) snap.texts.push([node, node.nodeValue]);
+    return snap;
+  }
+  if (node.nodeType === 1) {
+    snap.attrs.push([node, Array.from(node.attributes, a => a.cloneNode())]);
+    if (node.tagName === 'TEMPLATE') {
+      if (!node.parentElement || !node.parentElement.hasAttribute('each')) snapshot(node.content, snap);
+      return snap;
+    }
+  }
+  for (const child of Array.from(node.childNodes)) snapshot(child, snap);
+  return snap;
+}
+
+// Attributes go back as Attr nodes: setAttribute rejects modifier names
+// such as on-keydown.ctrl+s or bind-value.debounce(300)
+function restore(snap) {
+  for (const [node, attrs] of snap.attrs) {
+    const names = new Set(attrs.map(a => a.name));
+    for (const name of node.getAttributeNames()) {
+      if (!names.has(name)) node.removeAttribute(name);
+    }
+    for (const attr of attrs) {
+      const live = node.getAttributeNode(attr.name);
+      if (!live) node.setAttributeNode(attr.cloneNode());
+      else if (live.value !== attr.value) live.value = attr.value;
+    }
+  }
+  for (const [node, text] of snap.texts) node.nodeValue = text;
+}
+
+// -- Partials ----------------------------------------------------------
+
+// Rewrite relative paths in an attribute value against `scope`:
+// '.name' -> 'users.u1.name', a lone '.' -> 'users.u1'. Quoted strings,
+// numbers like .5 and property reads like $event.target are left alone.
+export function scopePath(expr, scope) {
+  if (!scope || expr == null) return expr;
+  let out = '';
+  let quote = null;
+  for (let i = 0; i < expr.length; i++) {
+    const c = expr[i];
+    if (quote) {
+      if (c === quote) quote = null;
+      out += c;
+      continue;
+    }
+    if (c === "'" || c === '"') {
+      quote = c;
+      out += c;
+      continue;
+    }
+    const next = expr[i + 1] || '';
+    if (c === '.' && (i === 0 || /[\s(,!+\-=:|]/.test(expr[i - 1]))) {
+      if (/[A-Za-z_$]/.test(next)) {
+        out += `${scope}.`;
+        continue;
+      }
+      if (!next || /[\s),|:]/.test(next)) {
+        out += scope;
+        continue;
+      }
+    }
+    out += c;
+  }
+  return out;
+}
+
+// Attributes whose values hold store paths
+const SCOPED_ATTR = /^(bind-|set|on-|each$|scope$)/;
+
+function rewriteScope(node, scope) {
+  if (node.nodeType === 1) {
+    for (const attr of Array.from(node.attributes)) {
+      if (SCOPED_ATTR.test(attr.name) && attr.value.includes('.')) {
+        attr.value = scopePath(attr.value, scope);
+      }
+    }
+    if (node.tagName === 'TEMPLATE') rewriteScope(node.content, scope);
+  }
+  for (const child of Array.from(node.childNodes)) rewriteScope(child, scope);
+}
+
+// Move caller content into the <slot>s of a cloned partial: slot="name"
+// children to <slot name="name">, the rest to the unnamed <slot>. A slot
+// with nothing provided keeps its own fallback content.
+function fillSlots(frag, provided) {
+  const named = n => n.nodeType === 1 && n.hasAttribute('slot');
+  for (const slot of Array.from(frag.querySelectorAll('slot'))) {
+    const name = slot.getAttribute('name');
+    const mine = provided.filter(n => name ? named(n) && n.getAttribute('slot') === name : !named(n));
+    const empty = mine.every(n => n.nodeType !== 1 && !(n.nodeType === 3 && n.nodeValue.trim()));
+    slot.replaceWith(...(empty ? Array.from(slot.childNodes) : mine));
+  }
+}
+
+// -- Transitions -------------------------------------------------------
+
+// Longest transition or animation in a computed style, in ms. Durations
+// and delays are comma lists that repeat to the longer one, as in CSS.
+export function transitionTimeout(style) {
+  const ms = list => String(list || '').split(',').map(t => {
+    const n = parseFloat(t);
+    if (isNaN(n)) return 0;
+    return t.trim().endsWith('ms') ? n : n * 1000;
+  });
+  const longest = (durations, delays) => {
+    const d = ms(durations);
+    const l = ms(delays);
+    let max = 0;
+    for (let i = 0; i < Math.max(d.length, l.length); i++) {
+      max = Math.max(max, d[i % d.length] + l[i % l.length]);
+    }
+    return max;
+  };
+  return Math.max(
+    longest(style.transitionDuration, style.transitionDelay),
+    longest(style.animationDuration, style.animationDelay)
+  );
+}
+
+function nextFrame(fn) {
+  if (typeof requestAnimationFrame !== 'function') return setTimeout(fn, 16);
+  requestAnimationFrame(() => requestAnimationFrame(fn));
+}
+
+// Call `done` when the element's current transition/animation ends, right
+// away if it has none. A timer backs up the events, which may never fire.
+// Returns a cancel function.
+function afterTransition(el, done) {
+  const timeout = typeof getComputedStyle === 'function' ? transitionTimeout(getComputedStyle(el)) : 0;
+  if (!timeout) {
+    done();
+    return () => {};
+  }
+  let timer = null;
+  const stop = () => {
+    el.removeEventListener('transitionend', finish);
+    el.removeEventListener('animationend', finish);
+    clearTimeout(timer);
+  };
+  function finish(e) {
+    if (e && e.target !== el) return;
+    stop();
+    done();
+  }
+  el.addEventListener('transitionend', finish);
+  el.addEventListener('animationend', finish);
+  timer = setTimeout(finish, timeout + 50);
+  return stop;
+}
+
+// name-enter + name-enter-active, then name-enter is dropped on the next
+// frame so the element transitions from its enter state
+function enter(el, name) {
+  el.classList.add(`${name}-enter`, `${name}-enter-active`);
+  nextFrame(() => {
+    if (!el.classList.contains(`${name}-enter-active`)) return; // already leaving
+    el.classList.remove(`${name}-enter`);
+    afterTransition(el, () => el.classList.remove(`${name}-enter-active`));
+  });
+}
+
+// name-leave-active until the transition ends, then `done` removes the node
+function leave(el, name, done) {
+  el.classList.remove(`${name}-enter`, `${name}-enter-active`);
+  el.classList.add(`${name}-leave-active`);
+  return afterTransition(el, done);
+}
+
+// FLIP: play each element from its old position (`before`: [el, rect]
+// pairs) to where it is now, under the name-move class
+function animateMoves(before, name) {
+  const moved = [];
+  for (const [el, rect] of before) {
+    if (!el || !el.isConnected) continue;
+    const now = el.getBoundingClientRect();
+    const dx = rect.left - now.left;
+    const dy = rect.top - now.top;
+    if (!dx && !dy) continue;
+    el.classList.remove(`${name}-move`);
+    el.style.transition = 'none';
+    el.style.transform = `translate(${dx}px, ${dy}px)`;
+    moved.push(el);
+  }
+  if (!moved.length) return;
+  void document.body.offsetHeight; // commit the inverted positions
+  for (const el of moved) {
+    el.classList.add(`${name}-move`);
+    el.style.transition = '';
+    el.style.transform = '';
+    afterTransition(el, () => el.classList.remove(`${name}-move`));
+  }
+}
+
+// -- Extensions ------------------------------------------------------
+
+const BUILTIN_BINDS = new Set(['text', 'value', 'focus', 'show', 'if', 'class', 'scope', 'route']);
+const directives = new Map(); // name -> setup(node, ctx) for bind-<name>
+const actions = new Map();    // name -> (current, ...args) for set="path:name(...)"
+
+function sizeOf(v) {
+  if (v == null) return 0;
+  if (typeof v === 'string' || Array.isArray(v)) return v.length;
+  if (typeof v === 'object') return Object.keys(v).filter(k => v[k] != null).length;
+  return 0;
+}
+
+function toDate(v) {
+  const d = v instanceof Date ? v : new Date(v);
+  return v == null || v === '' || isNaN(d) ? null : d;
+}
+
+// Built-in pipes: value | name:arg:arg
+const formatters = new Map(Object.entries({
+  number: (v, digits) => v == null || v === '' || isNaN(v) ? '' :
+    new Intl.NumberFormat(undefined, digits == null ? {} :
+      { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(v),
+  currency: (v, code = 'USD') => v == null || v === '' || isNaN(v) ? '' :
+    new Intl.NumberFormat(undefined, { style: 'currency', currency: code }).format(v),
+  date: (v, style = 'date') => {
+    const d = toDate(v);
+    if (!d) return '';
+    if (style === 'iso') return d.toISOString();
+    if (style === 'time') return d.toLocaleTimeString();
+    if (style === 'datetime') return d.toLocaleString();
+    return d.toLocaleDateString();
+  },
+  uppercase: v => v == null ? '' : String(v).toUpperCase(),
+  lowercase: v => v == null ? '' : String(v).toLowerCase(),
+  pluralize: (v, one, many = `${one}s`) => {
+    const n = typeof v === 'number' ? v : sizeOf(v);
+    return `${n} ${n === 1 ? one : many}`;
+  },
+  json: (v, indent) => JSON.stringify(v, null, indent),
+  length: sizeOf,
+  count: sizeOf
+}));
+
+export function defineFormatter(name, fn) {
+  if (typeof fn !== 'function') throw new TypeError('defineFormatter requires a function');
+  formatters.set(name, fn);
+}
+
+export function defineDirective(name, fn) {
+  if (typeof fn !== 'function') throw new TypeError('defineDirective requires a function');
+  directives.set(name.toLowerCase(), fn);
+}
+
+export function defineAction(name, fn) {
+  if (typeof fn !== 'function') throw new TypeError('defineAction requires a function');
+  actions.set(name, fn);
+}
+
+// -- Scheduler ---------------------------------------------------------
+
+// Deferred binding updates, coalesced per node: node -> Set(job). A job
+// re-reads the store when it runs, so ten writes cost one DOM update.
+const queue = new Map();
+let scheduled = null; // 'microtask' | 'frame' while a flush is pending
+
+function enqueue(node, job, mode) {
+  let jobs = queue.get(node);
+  if (!jobs) queue.set(node, (jobs = new Set()));
+  jobs.add(job);
+  if (scheduled === 'microtask' || scheduled === mode) return;
+  scheduled = mode;
+  if (mode === 'frame' && typeof requestAnimationFrame === 'function') requestAnimationFrame(flush);
+  else queueMicrotask(flush);
+}
+
+function dropQueued(container) {
+  for (const node of queue.keys()) {
+    if (container.contains(node)) queue.delete(node);
+  }
+}
+
+// Run every pending update now (tests, or before measuring layout)
+export function flush() {
+  scheduled = null;
+  while (queue.size) {
+    const batch = Array.from(queue.values());
+    queue.clear();
+    for (const jobs of batch) jobs.forEach(job => job());
+  }
 }
 
 // -- Mount -------------------------------------------------------------
 
-export function mount(store, root = document.body) {
-  const subs = []; // { node, unsub }
+export function mount(store, root = document.body, options = {}) {
+  const { observe = false, schedule = 'sync' } = options;
+  const subs = []; // { node, unsub, watch }; watch marks store subscriptions
+
+  function watchPath(node, path, fn) {
+    subs.push({ node, unsub: store.subscribe(path, fn), watch: true });
+  }
+
+  // Nodes this mount has processed. Kept per mount (not on the nodes), so
+  // after cleanup the same DOM can be mounted again from scratch.
+  const bound = new WeakSet();
+  const collections = new WeakSet();
+  const conditionals = new WeakSet();
+  const outlets = new WeakSet();
+  const partials = new WeakSet();
+
+  // A root can only have one mount: mounting again replaces the old one
+  if (mounts.has(root)) mounts.get(root).teardown(false);
+
+  // Does this mount own `node`, or is it inside a nested mount's root?
+  function owns(node) {
+    if (mounts.size === 0 || (mounts.size === 1 && mounts.has(root))) return true;
+    for (let n = node; n && n !== root; n = n.parentNode) {
+      if (mounts.has(n)) return false;
+    }
+    return true;
+  }
+
+  // Per-mount registries: globals first, mount options win
+  const directiveMap = new Map(directives);
+  for (const [name, fn] of Object.entries(options.directives || {})) {
+    directiveMap.set(name.toLowerCase(), fn);
+  }
+  const actionMap = new Map([...actions, ...Object.entries(options.actions || {})]);
+  const formatterMap = new Map([...formatters, ...Object.entries(options.formatters || {})]);
+  let hydrating = !!options.hydrate; // adopt server-rendered items on first bind
+  const handlers = options.handlers || {};
+  const router = options.router || null; // see router.js
+  const persist = options.persist || null; // see persist.js
+  const debug = options.debug || null;     // see devtools.js
+
+  // Development warnings. Silent unless options.dev or options.onError is
+  // set; onError receives { code, message, el, attr, value, error }.
+  const reporting = !!(options.dev || options.onError);
+  const onError = options.onError ||
+    (e => console.warn(`[@uistate/renderer] ${e.message}`, e.el));
+  function report(code, message, el = null, attr = null, error = undefined) {
+    if (!reporting) return;
+    const value = el && attr && el.hasAttribute(attr) ? el.getAttribute(attr) : null;
+    const where = el ? ` on <${el.tagName.toLowerCase()}${attr ? ` ${attr}="${value ?? ''}"` : ''}>` : '';
+    onError({ code, message: message + where, el, attr, value, error });
+  }
+
+  // Bound expressions: a formatter that throws (Intl on `currency:EURO`)
+  // leaves the value unformatted and is reported, or logged, not thrown
+  function evaluate(b, node, attr) {
+    return evalBinding(b, p => store.get(p), formatterMap, (name, err) => {
+      const message = `formatter "${name}" failed: ${err && err.message ? err.message : err}`;
+      if (reporting) report('formatter-error', message, node, attr, err);
+      else console.error(`[@uistate/renderer] ${message}`, err);
+    });
+  }
+
+  // The attribute on `el` holding `raw`, for reports about actions
+  const attrFor = (el, raw) =>
+    (el && el.attributes ? Array.from(el.attributes).find(a => a.value === raw)?.name : null) || null;
+
+  // Paths read at bind time should exist; errors.* only appear on failure
+  function checkPath(path, node, attr) {
+    if (!reporting || !path || store.get(path) !== undefined) return;
+    if (path === errorsPath || path.startsWith(`${errorsPath}.`)) return;
+    report('undefined-path', `"${path}" is undefined in the store`, node, attr);
+  }
+  const pending = new WeakMap(); // el -> running async handler count
+  const errorsPath = options.errorsPath || 'errors';
+  const customRules = options.rules || {};
+  const validators = new Map();   // path -> rules, from validate="" and options.validate
+  const validating = new Map();   // path -> element carrying validate="", for reports
+  for (const [p, r] of Object.entries(options.validate || {})) validators.set(p, parseRules(r));
+  const delegated = new Set();    // event types with an on-* listener on root
+  const fired = new WeakMap();    // el -> attr names already fired (.once)
+  const timers = new WeakMap();   // el -> Map(attr name -> debounce timer)
+  const debouncing = new Set();   // every pending on-* debounce timer, for cleanup
 
   // -- Binding helpers --
 
-  function addBinding(path, node, updateFn) {
+  // sync: write on every change; microtask / frame: coalesce and defer
+  function defer(node, job) {
+    if (schedule === 'sync') job();
+    else enqueue(node, job, schedule);
+  }
+
+  // `attr` names the attribute the binding came from, for options.debug
+  function addBinding(path, node, updateFn, attr) {
+    checkPath(path, node, attr);
     updateFn(store.get(path));
-    const unsub = store.subscribe(path, (value) => updateFn(value));
-    subs.push({ node, unsub });
+    const update = debug ? trace(node, attr, path, [path], updateFn) : updateFn;
+    const job = () => update(store.get(path));
+    watchPath(node, path, (value) => {
+      if (schedule === 'sync') update(value);
+      else enqueue(node, job, schedule);
+    });
+  }
+
+  // Expression binding: every dependency is watched exactly and by wildcard,
+  // so `todos | count` also re-renders when items come and go
+  function addExprBinding(raw, node, updateFn, attr) {
+    const b = parseBinding(raw);
+    if (!b.pipes.length && b.terms.length === 1 && b.terms[0].path) {
+      return addBinding(b.terms[0].path, node, updateFn, attr);
+    }
+    b.deps.forEach(dep => checkPath(dep, node, attr));
+    const run = () => updateFn(evaluate(b, node, attr));
+    const update = debug ? trace(node, attr, raw, b.deps, run) : run;
+    const onChange = () => defer(node, update);
+    run();
+    for (const dep of b.deps) {
+      watchPath(node, dep, onChange);
+      watchPath(node, `${dep}.*`, onChange);
+    }
+  }
+
+  // Register a binding with the debugger (released with the node's other
+  // subscriptions) and report each update it makes after the first fill
+  function trace(node, attr = '', path, deps, fn) {
+    subs.push({ node, unsub: debug.binding(node, attr, path, deps) });
+    return v => debug.update(node, attr, path, () => fn(v));
+  }
+
+  function listen(node, type, fn) {
+    node.addEventListener(type, fn);
+    subs.push({ node, unsub: () => node.removeEventListener(type, fn) });
   }
 
   function cleanupWithin(container) {
+    if (queue.size) dropQueued(container);
     for (let i = subs.length - 1; i >= 0; i--) {
       if (container.contains(subs[i].node)) {
         subs[i].unsub();
@@ -65,37 +1033,70 @@ export function mount(store, root = document.body) {
     }
   }
 
+  // Detached subtree: drop subscriptions and marks so a re-insert rebinds
+  function unbindWithin(container) {
+    cleanupWithin(container);
+    for (const node of [container, ...container.querySelectorAll('*')]) {
+      bound.delete(node);
+      collections.delete(node);
+      conditionals.delete(node);
+      outlets.delete(node);
+      partials.delete(node);
+    }
+  }
+
   // -- Scan for bind-* attributes --
 
   function scanBindings(el) {
     const nodes = el instanceof Element ? [el, ...el.querySelectorAll('*')] : [];
 
     for (const node of nodes) {
-      if (node[BOUND]) continue;
-      node[BOUND] = true;
+      if (bound.has(node) || !owns(node)) continue;
+      bound.add(node);
 
       // bind-text: one-way, textContent
       if (node.hasAttribute('bind-text')) {
         const p = node.getAttribute('bind-text');
-        addBinding(p, node, v => {
+        addExprBinding(p, node, v => {
           node.textContent = v != null ? String(v) : '';
-        });
+        }, 'bind-text');
       }
 
-      // bind-value: two-way for inputs
-      if (node.hasAttribute('bind-value')) {
-        const p = node.getAttribute('bind-value');
-        addBinding(p, node, v => {
-          const s = v != null ? String(v) : '';
-          if (node.type === 'checkbox') {
-            if (node.checked !== !!v) node.checked = !!v;
-          } else {
-            if (node.value !== s) node.value = s;
-          }
-        });
-        node.addEventListener('input', () => {
-          store.set(p, node.type === 'checkbox' ? node.checked : node.value);
+      // bind-value[.lazy.trim.number.debounce(ms)]: type-aware two-way binding
+      const valueAttr = Array.from(node.attributes).find(a => parseBindValue(a.name));
+      if (valueAttr) {
+        const p = valueAttr.value;
+        const opts = parseBindValue(valueAttr.name);
+        const kind = controlKind(node);
+        const type = kind === 'editable' ? (opts.lazy ? 'focusout' : 'input') :
+          opts.lazy || !['text', 'number', 'date'].includes(kind) ? 'change' : 'input';
+        let timer = null;
+        const commit = () => {
+          const v = readControl(node, store.get(p), opts);
+          if (v === undefined) return;
+          traced(p, node, null, () => record(() => store.set(p, v), node));
+          if (validators.has(p)) validatePath(p);
+        };
+
+        if (node.hasAttribute('validate')) {
+          validators.set(p, parseRules(node.getAttribute('validate')));
+          validating.set(p, node);
+          subs.push({
+            node,
+            unsub: () => {
+              validators.delete(p);
+              validating.delete(p);
+            }
+          });
+        }
+
+        addBinding(p, node, v => writeControl(node, v), valueAttr.name);
+        listen(node, type, () => {
+          if (opts.debounce == null) return commit();
+          clearTimeout(timer);
+          timer = setTimeout(commit, opts.debounce);
         });
+        subs.push({ node, unsub: () => clearTimeout(timer) });
       }
 
       // bind-focus: focus element when value is truthy
@@ -105,41 +1106,239 @@ export function mount(store, root = document.body) {
           if (v) requestAnimationFrame(() => {
             if (node.offsetParent !== null) node.focus();
           });
-        });
+        }, 'bind-focus');
+      }
+
+      // bind-show: toggle the hidden attribute, `!path` negates
+      if (node.hasAttribute('bind-show')) {
+        const { path, negate } = parseCondition(node.getAttribute('bind-show'));
+        addBinding(path, node, v => {
+          node.hidden = negate ? !!v : !v;
+        }, 'bind-show');
+      }
+
+      // <a route="users/:id">: a real href (new tabs, copy link) and
+      // aria-current="page" while it is the route being shown
+      if (router && node.hasAttribute('route') && node.tagName !== 'TEMPLATE') {
+        const to = node.getAttribute('route');
+        addBinding(`${router.path}.path`, node, current => {
+          const p = router.resolve(to).split('?')[0];
+          if (node.tagName === 'A') node.setAttribute('href', router.href(to));
+          if (p === current) node.setAttribute('aria-current', 'page');
+          else node.removeAttribute('aria-current');
+        }, 'route');
+      }
+
+      // bind-class: string / array / object of classes. Only classes the
+      // binding added are ever removed; static ones are left alone.
+      if (node.hasAttribute('bind-class')) {
+        const fixed = new Set(node.classList);
+        // Server-rendered markup already carries the bound classes
+        if (hydrating) {
+          const b = parseBinding(node.getAttribute('bind-class'));
+          toClassList(evaluate(b, node, 'bind-class')).forEach(c => fixed.delete(c));
+        }
+        let applied = [];
+        addExprBinding(node.getAttribute('bind-class'), node, v => {
+          const next = toClassList(v);
+          for (const c of applied) {
+            if (!next.includes(c) && !fixed.has(c)) node.classList.remove(c);
+          }
+          for (const c of next) node.classList.add(c);
+          applied = next;
+        }, 'bind-class');
       }
 
-      // bind-data-* -> dataset, bind-attr-* -> setAttribute
+      // bind-data-* -> dataset, bind-attr-* -> setAttribute,
+      // bind-class-* -> one class, bind-style-*[.unit] -> one property,
+      // bind-<custom>, on-* -> make sure root listens for that event type
       for (const attr of Array.from(node.attributes)) {
-        if (attr.name.startsWith('bind-data-')) {
+        const on = parseOn(attr.name);
+        if (on) {
+          delegate(on.event);
+        } else if (attr.name.startsWith('bind-class-')) {
+          const cName = attr.name.slice(11);
+          addExprBinding(attr.value, node, v => {
+            node.classList.toggle(cName, !!v);
+          }, attr.name);
+        } else if (attr.name.startsWith('bind-style-')) {
+          const dot = attr.name.indexOf('.', 11);
+          const prop = dot === -1 ? attr.name.slice(11) : attr.name.slice(11, dot);
+          const unit = dot === -1 ? null : attr.name.slice(dot + 1);
+          addExprBinding(attr.value, node, v => {
+            const css = styleValue(prop, v, unit);
+            if (css == null) node.style.removeProperty(prop);
+            else node.style.setProperty(prop, css);
+          }, attr.name);
+        } else if (attr.name.startsWith('bind-data-')) {
           const dName = attr.name.slice(10);
           const p = attr.value;
-          addBinding(p, node, v => {
+          addExprBinding(p, node, v => {
             node.dataset[dName] = v != null ? String(v) : '';
-          });
+          }, attr.name);
         } else if (attr.name.startsWith('bind-attr-')) {
           const aName = attr.name.slice(10);
           const p = attr.value;
-          addBinding(p, node, v => {
+          addExprBinding(p, node, v => {
             if (v != null) node.setAttribute(aName, String(v));
             else node.removeAttribute(aName);
+          }, attr.name);
+        } else if (attr.name.startsWith('bind-') && !BUILTIN_BINDS.has(attr.name.slice(5)) &&
+                   directiveMap.has(attr.name.slice(5))) {
+          // setup(node, ctx) runs once and may return an update(value)
+          // function, which is subscribed like any built-in binding
+          const setup = directiveMap.get(attr.name.slice(5));
+          const p = attr.value;
+          const update = setup(node, {
+            path: p,
+            store,
+            attr: attr.name,
+            onCleanup: fn => subs.push({ node, unsub: fn })
           });
+          if (typeof update === 'function') addBinding(p, node, update, attr.name);
+        } else if (reporting && attr.name.startsWith('bind-') && !BUILTIN_BINDS.has(attr.name.slice(5)) &&
+                   !parseBindValue(attr.name)) {
+          report('unknown-bind', `unknown directive "${attr.name}" (typo, or missing defineDirective?)`, node, attr.name);
         }
       }
     }
   }
 
+  // -- Validation --
+
+  // Validate one path and mirror the result to errors.<path>; true if valid
+  function validatePath(p) {
+    const msg = validateValue(store.get(p), validators.get(p), customRules, (name, err) => {
+      const message = `rule "${name}" for "${p}" failed: ${err && err.message ? err.message : err}`;
+      if (reporting) report('rule-error', message, validating.get(p) || null, validating.has(p) ? 'validate' : null, err);
+      else console.error(`[@uistate/renderer] ${message}`, err);
+    });
+    const errPath = `${errorsPath}.${p}`;
+    if ((store.get(errPath) ?? null) !== msg) store.set(errPath, msg);
+    return msg === null;
+  }
+
+  // Validate every registered path at or below `prefix`
+  function validateUnder(prefix) {
+    let ok = true;
+    for (const p of validators.keys()) {
+      if (p === prefix || p.startsWith(`${prefix}.`)) ok = validatePath(p) && ok;
+    }
+    return ok;
+  }
+
+  // Validate the bound controls inside a form
+  function validateForm(form) {
+    let ok = true;
+    for (const el of form.querySelectorAll('*')) {
+      const attr = Array.from(el.attributes).find(a => parseBindValue(a.name));
+      if (attr && validators.has(attr.value)) ok = validatePath(attr.value) && ok;
+    }
+    return ok;
+  }
+
   // -- Delegated action execution --
 
-  function executeSet(raw) {
+  const counters = new Map(); // collection path -> highest counter key issued
+
+  // key=<field> takes the key from the item, key=uuid / key=counter pick a
+  // strategy, otherwise options.keygen decides, falling back to a counter.
+  // null means the item can't be keyed and isn't pushed.
+  function pushKey(path, push, item, target) {
+    const existing = target && typeof target === 'object' ? Object.keys(target) : [];
+    const counter = () => {
+      const prefix = push.prefix ?? 't_';
+      const key = nextKey(existing, prefix, counters.get(`${path}|${prefix}`) || 0);
+      counters.set(`${path}|${prefix}`, Number(key.slice(prefix.length)));
+      return key;
+    };
+    if (push.key === 'uuid') return uuid();
+    if (push.key === 'counter') return counter();
+    if (push.key) {
+      const v = readPath(item, push.key);
+      return v == null || v === '' ? null : String(v);
+    }
+    if (typeof options.keygen === 'function') {
+      const key = options.keygen(path, item, target);
+      if (key != null && key !== '') return String(key);
+    }
+    return counter();
+  }
+
+  // @handler: call a named handler; a returned promise marks the
+  // triggering element with data-pending until it settles
+  function executeHandler(call, el, event, raw) {
+    const fn = lookup(handlers, call.name);
+    if (typeof fn !== 'function') return;
+    const result = fn({ store, event, el }, ...call.args);
+    if (!el || !result || typeof result.then !== 'function') return;
+
+    pending.set(el, (pending.get(el) || 0) + 1);
+    el.dataset.pending = 'true';
+    const settle = () => {
+      const n = pending.get(el) - 1;
+      pending.set(el, n);
+      if (n === 0) delete el.dataset.pending;
+    };
+    // A rejection is handled here: nothing else awaits this promise.
+    // Reported like a dev warning when reporting is on, else logged.
+    result.then(settle, err => {
+      settle();
+      const message = `@${call.name} failed: ${err && err.message ? err.message : err}`;
+      if (reporting) report('handler-error', message, el, attrFor(el, raw), err);
+      else console.error(`[@uistate/renderer] ${message}`, err);
+    });
+  }
+
+  // Writes from actions and inputs go through the history, when there is
+  // one, as a single undo step each. `key` merges rapid repeats.
+  const history = options.history || null;
+  if (history) history.ignore(errorsPath);
+  const record = (fn, key) => (history ? history.record(fn, key) : fn());
+
+  function executeSet(raw, el, event) {
+    if (history) {
+      const { path, expr } = parseSetExpr(raw);
+      if (path === history.path && ['undo', 'redo', 'clear'].includes(expr)) return history[expr]();
+    }
+    return traced(raw, el, event, () =>
+      record(() => applySet(raw, el, event), event && event.type === 'input' ? el : null));
+  }
+
+  // With options.debug, report a write and the value before and after it
+  function traced(raw, el, event, fn) {
+    if (!debug) return fn();
+    const path = parseHandler(raw) ? null : parseSetExpr(raw).path;
+    const copy = v => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+    const before = path ? copy(store.get(path)) : undefined;
+    const result = fn();
+    debug.action({
+      el, raw, path, event: event ? event.type : null,
+      before, after: path ? copy(store.get(path)) : undefined
+    });
+    return result;
+  }
+
+  function applySet(raw, el, event) {
+    const call = parseHandler(raw);
+    if (call) return executeHandler(call, el, event, raw);
+
     const { path, expr } = parseSetExpr(raw);
 
-    // delete: remove key from parent collection
+    // delete: remove key (or array index) from parent collection
     if (expr === 'delete') {
       const dot = path.lastIndexOf('.');
-      if (dot === -1) return;
+      if (dot === -1) {
+        report('top-level-delete', `can't delete top-level path "${path}", only a key inside a collection`, el, attrFor(el, raw));
+        return;
+      }
       const parentPath = path.slice(0, dot);
       const key = path.slice(dot + 1);
       const parent = store.get(parentPath) || {};
+      if (Array.isArray(parent)) {
+        store.set(parentPath, parent.filter((_, i) => String(i) !== key));
+        return;
+      }
       const updated = {};
       for (const k of Object.keys(parent)) {
         if (k !== key) updated[k] = parent[k];
@@ -148,120 +1347,691 @@ export function mount(store, root = document.body) {
       return;
     }
 
-    // push(sourcePath): clone source into collection, reset source
+    // push(sourcePath, key=..., reset=...): clone source into collection,
+    // reset source
     const push = parsePush(expr);
+    const pushError = checkPush(expr);
+    if (pushError) {
+      report('bad-push', pushError, el, attrFor(el, raw));
+      if (!push || !push.source) return; // never store "push draft" as a string
+    }
     if (push) {
       const sourcePath = push.source;
       if (!sourcePath) return;
+      if (!validateUnder(sourcePath)) return;
       const src = store.get(sourcePath);
       if (!src || typeof src !== 'object') return;
-      const key = `t_${Date.now()}`;
+      const clone = JSON.parse(JSON.stringify(src));
+      const target = store.get(path);
+      const key = Array.isArray(target) ? null : pushKey(path, push, clone, target);
+      if (!Array.isArray(target) && key == null) return;
+
+      const reset = push.reset && push.reset !== 'type' && push.reset !== 'none'
+        ? store.get(push.reset) : null;
+      const fields = new Set(Object.keys(src));
+      if (reset && typeof reset === 'object') Object.keys(reset).forEach(k => fields.add(k));
+
       store.batch(() => {
-        store.set(`${path}.${key}`, JSON.parse(JSON.stringify(src)));
-        for (const k of Object.keys(src)) {
-          const v = src[k];
-          store.set(`${sourcePath}.${k}`,
-            typeof v === 'string' ? '' :
-            typeof v === 'boolean' ? false :
-            typeof v === 'number' ? 0 : null
-          );
+        if (Array.isArray(target)) store.set(path, [...target, clone]);
+        else store.set(`${path}.${key}`, clone);
+        if (push.reset === 'none') return;
+        for (const k of fields) {
+          const v = reset && typeof reset === 'object' && k in reset
+            ? JSON.parse(JSON.stringify(reset[k])) : emptyOf(src[k]);
+          store.set(`${sourcePath}.${k}`, v);
         }
       });
       return;
     }
 
     // normal: evaluate expression and set
-    store.set(path, evalExpr(expr, store.get(path)));
+    const named = reporting ? parseCall(expr) : null;
+    if (named && typeof actionMap.get(named.name) !== 'function' && !['min', 'max'].includes(named.name)) {
+      report('unknown-action', `unknown action "${named.name}" in "${raw}"; the text is stored as a string`, el, attrFor(el, raw));
+    }
+    store.set(path, evalExpr(expr, store.get(path), {
+      actions: actionMap,
+      get: p => store.get(p),
+      event
+    }));
   }
 
   // -- Step 1: Event delegation (once, never re-wired) --
 
-  root.addEventListener('click', e => {
+  listen(root, 'click', e => {
+    // Route links navigate in place; modified clicks open tabs as usual
+    if (router && !e.defaultPrevented && !e.button && !e.metaKey && !e.ctrlKey && !e.shiftKey && !e.altKey) {
+      const link = e.target.closest('[route]');
+      if (link && link.tagName !== 'TEMPLATE' && root.contains(link) && owns(link)) {
+        e.preventDefault();
+        router.navigate(link.getAttribute('route'));
+        return;
+      }
+    }
     const t = e.target.closest('[set]');
-    if (t && root.contains(t)) executeSet(t.getAttribute('set'));
+    if (t && root.contains(t) && owns(t)) executeSet(t.getAttribute('set'), t, e);
   });
 
-  root.addEventListener('focusout', e => {
+  listen(root, 'focusout', e => {
     const t = e.target.closest('[set-blur]');
-    if (t && root.contains(t)) executeSet(t.getAttribute('set-blur'));
+    if (t && root.contains(t) && owns(t)) executeSet(t.getAttribute('set-blur'), t, e);
   });
 
-  root.addEventListener('keydown', e => {
+  listen(root, 'keydown', e => {
     if (e.key !== 'Enter') return;
     const t = e.target.closest('[set-enter]');
-    if (t && root.contains(t)) {
+    if (t && root.contains(t) && owns(t)) {
       e.preventDefault();
-      executeSet(t.getAttribute('set-enter'));
+      executeSet(t.getAttribute('set-enter'), t, e);
     }
   });
 
+  // on-<event>: one root listener per event type, added on first use.
+  // Matching attributes fire from the target up to root, like real bubbling.
+  function delegate(type) {
+    if (delegated.has(type)) return;
+    delegated.add(type);
+    listen(root, type, dispatch);
+  }
+
+  function dispatch(e) {
+    const start = e.target instanceof Element ? e.target : e.target.parentElement;
+    for (let el = start; el && root.contains(el); el = el.parentElement) {
+      if (!owns(el)) continue;
+      const matches = [];
+      for (const attr of Array.from(el.attributes)) {
+        const on = parseOn(attr.name);
+        if (!on || on.event !== e.type) continue;
+        if (on.self && e.target !== el) continue;
+        if (!matchKeys(on.keys, e)) continue;
+        matches.push({ name: attr.name, value: attr.value, on });
+      }
+
+      let stopped = false;
+      for (const { name, value, on } of matches) {
+        if (on.once) {
+          if (!fired.has(el)) fired.set(el, new Set());
+          if (fired.get(el).has(name)) continue;
+          fired.get(el).add(name);
+        }
+        if (on.prevent) e.preventDefault();
+        if (on.stop) stopped = true;
+        if (on.event === 'submit' && el.tagName === 'FORM' && !validateForm(el)) continue;
+        if (on.debounce != null) {
+          if (!timers.has(el)) timers.set(el, new Map());
+          const pendingTimers = timers.get(el);
+          clearTimeout(pendingTimers.get(name));
+          debouncing.delete(pendingTimers.get(name));
+          const timer = setTimeout(() => {
+            pendingTimers.delete(name);
+            debouncing.delete(timer);
+            executeSet(value, el, e);
+          }, on.debounce);
+          pendingTimers.set(name, timer);
+          debouncing.add(timer);
+        } else {
+          executeSet(value, el, e);
+        }
+      }
+
+      if (stopped) {
+        e.stopPropagation();
+        return;
+      }
+    }
+  }
+
   // -- Step 3: Keyed collections --
 
   function setupCollection(container) {
+    if (collections.has(container)) return;
     const collPath = container.getAttribute('each');
     const tpl = container.querySelector('template');
-    if (!collPath || !tpl) return;
+    if (!collPath || !tpl) {
+      if (!tpl) report('missing-template', 'each needs a <template> child to clone items from', container, 'each');
+      return;
+    }
+    collections.add(container);
+    checkPath(collPath, container, 'each');
+    if (debug) subs.push({ node: container, unsub: debug.binding(container, 'each', collPath, [collPath]) });
+
+    // Items already in the container: adopted below when hydrating
+    // server-rendered markup, otherwise left over from an earlier setup
+    // and re-rendered from scratch
+    const existing = Array.from(container.children)
+      .filter(el => el !== tpl && el.hasAttribute('data-key'));
+    if (!hydrating) existing.forEach(el => el.remove());
 
-    const templateHTML = tpl.innerHTML.trim();
-    const rendered = new Map(); // key -> element
-    let lastKeyStr = '';
+    // Items are clones of the template's first element, never parsed
+    // from strings, so this runs under require-trusted-types-for 'script'
+    const proto = tpl.content.firstElementChild;
+    if (!proto) {
+      report('missing-template', 'each <template> is empty, so no items render', container, 'each');
+    } else if (tpl.content.children.length > 1) {
+      report('multi-root-template', `each <template> has ${tpl.content.children.length} root elements; only the first, <${proto.tagName.toLowerCase()}>, is rendered per item`, container, 'each');
+    }
+    const view = {
+      key: container.getAttribute('key'),
+      sortBy: container.getAttribute('sort-by'),
+      filter: container.getAttribute('filter')
+    };
+    if (container.hasAttribute('virtual')) {
+      // Windowed lists always render client-side
+      existing.forEach(el => el.remove());
+      setupVirtual(container, collPath, proto, view);
+      return;
+    }
+
+    const rendered = new Map(); // key -> { el, seg, value }
+    let order = [];             // keys in current DOM order
+    const transition = container.getAttribute('transition');
+    const leaving = new Map();  // key -> { el, cancel } while a leave plays
+    let initial = true;         // the first render never animates
+
+    if (hydrating) {
+      const entries = new Map(collectionEntries(store.get(collPath), view).map(e => [e.key, e]));
+      for (const el of existing) {
+        const e = entries.get(el.dataset.key);
+        if (!e || rendered.has(e.key)) {
+          el.remove();
+          continue;
+        }
+        rendered.set(e.key, { el, seg: e.seg, value: e.value });
+        order.push(e.key);
+        bindTree(el);
+      }
+    }
+
+    // Created items remember their unfilled placeholders, so a keyed
+    // array item that only changed index is re-pointed and moved, not rebuilt
+    const snaps = new WeakMap(); // el -> snapshot taken before filling
+
+    function create(key, seg) {
+      if (!proto) return null;
+      const el = document.importNode(proto, true);
+      snaps.set(el, snapshot(el));
+      fillPlaceholders(el, { _key: key, _path: `${collPath}.${seg}` });
+      el.dataset.key = key;
+      return el;
+    }
 
-    function resolve(html, key) {
-      return html
-        .replace(/\{_key\}/g, key)
-        .replace(/\{_path\}/g, `${collPath}.${key}`);
+    function repoint(item, key, seg) {
+      unbindWithin(item.el);
+      restore(snaps.get(item.el));
+      fillPlaceholders(item.el, { _key: key, _path: `${collPath}.${seg}` });
+      item.el.dataset.key = key;
+      item.seg = seg;
     }
 
     function reconcile() {
-      const coll = store.get(collPath) || {};
-      const keys = Object.keys(coll).filter(k => coll[k] != null);
-      const keyStr = keys.join(',');
+      const entries = collectionEntries(store.get(collPath), view);
 
-      // Fast bail: same keys, no structural change
-      if (keyStr === lastKeyStr) return;
-      lastKeyStr = keyStr;
+      // Fast bail: same keys in the same order, same item objects
+      if (entries.length === order.length && entries.every((e, i) => {
+        const item = rendered.get(e.key);
+        return e.key === order[i] && item.seg === e.seg && item.value === e.value;
+      })) return;
 
-      const keySet = new Set(keys);
+      const next = new Map(entries.map(e => [e.key, e]));
+      const previous = debug ? new Set(order) : null;
+      const animate = transition && !initial;
+      const before = new Map(); // key -> rect, for move animations
+      if (animate) {
+        for (const [k, item] of rendered) before.set(k, item.el.getBoundingClientRect());
+      }
 
-      // Remove deleted items
-      for (const [k, el] of rendered) {
-        if (!keySet.has(k)) {
-          cleanupWithin(el);
-          el.remove();
-          rendered.delete(k);
+      // Unbind deleted items, and items whose path or object was replaced
+      // (their bindings and placeholders point at stale data). Replaced
+      // items are swapped in place below; deletions may play a leave.
+      const stale = new Map(); // key -> old element of a replaced item
+      const repointed = [];    // same item at a new index, rebound below
+      for (const [k, item] of rendered) {
+        const e = next.get(k);
+        if (e && e.seg === item.seg && e.value === item.value) continue;
+        if (e && e.value === item.value && snaps.has(item.el)) {
+          repoint(item, k, e.seg);
+          repointed.push(item.el);
+          continue;
+        }
+        cleanupWithin(item.el);
+        rendered.delete(k);
+        if (e) {
+          stale.set(k, item.el);
+        } else if (animate) {
+          const { el } = item;
+          const cancel = leave(el, transition, () => {
+            el.remove();
+            if (leaving.get(k)?.el === el) leaving.delete(k);
+          });
+          leaving.set(k, { el, cancel });
+        } else {
+          item.el.remove();
         }
       }
 
-      // Add new items
-      for (const k of keys) {
-        if (!rendered.has(k)) {
-          const html = resolve(templateHTML, k);
-          const tmp = document.createElement('div');
-          tmp.innerHTML = html;
-          const el = tmp.firstElementChild;
-          if (!el) continue;
-          el.dataset.key = k;
-          container.appendChild(el);
-          rendered.set(k, el);
-          scanBindings(el);
+      // Move out-of-order items, insert new ones, back to front
+      const kept = k => rendered.has(k) || stale.has(k);
+      const moves = planMoves(
+        order.filter(kept),
+        entries.map(e => e.key).filter(kept)
+      );
+      let anchor = null;
+      for (let i = entries.length - 1; i >= 0; i--) {
+        const { key, seg, value } = entries[i];
+        let item = rendered.get(key);
+        if (!item) {
+          // Re-added while its old element is still leaving: drop that now
+          const gone = leaving.get(key);
+          if (gone) {
+            gone.cancel();
+            gone.el.remove();
+            leaving.delete(key);
+          }
+          const el = create(key, seg);
+          const old = stale.get(key);
+          if (!el) {
+            if (old) old.remove();
+            continue;
+          }
+          item = { el, seg, value };
+          if (old) old.replaceWith(el);
+          if (!old || moves.has(key)) container.insertBefore(el, anchor);
+          rendered.set(key, item);
+          bindTree(el);
+          if (animate && !old) enter(el, transition);
+        } else if (moves.has(key)) {
+          container.insertBefore(item.el, anchor);
         }
+        anchor = item.el;
+      }
+      repointed.forEach(el => bindTree(el));
+      order = entries.map(e => e.key).filter(k => rendered.has(k));
+      if (animate) {
+        animateMoves(Array.from(before, ([k, rect]) => [rendered.get(k)?.el, rect]), transition);
+      }
+      if (debug) {
+        debug.reconcile({
+          container,
+          path: collPath,
+          added: order.filter(k => !previous.has(k)),
+          removed: Array.from(previous).filter(k => !next.has(k)),
+          moved: Array.from(moves),
+          replaced: Array.from(stale.keys())
+        });
       }
     }
 
-    // Subscribe: exact (for delete/replace) + wildcard (for child add)
-    const u1 = store.subscribe(collPath, reconcile);
-    const u2 = store.subscribe(`${collPath}.*`, reconcile);
-    subs.push({ node: container, unsub: u1 });
-    subs.push({ node: container, unsub: u2 });
+    // Subscribe: exact (for delete/replace) + wildcard (for child add).
+    // Leaf edits inside an item are left to the item's own bindings.
+    watchPath(container, collPath, () => defer(container, reconcile));
+    watchPath(container, `${collPath}.*`, ({ path }) => {
+      if (affectsCollection(path.slice(collPath.length + 1), view)) defer(container, reconcile);
+    });
 
     reconcile();
+    initial = false;
+  }
+
+  // -- Virtual collections: only rows in the viewport are in the DOM --
+
+  function setupVirtual(container, collPath, proto, view) {
+    if (!proto) return;
+    const itemHeight = Number(container.getAttribute('item-height')) || 0;
+    const overscan = container.hasAttribute('overscan') ? Number(container.getAttribute('overscan')) : 3;
+
+    // Spacers stand in for the rows above and below the window
+    for (const el of Array.from(container.children)) {
+      if (el.hasAttribute('data-spacer')) el.remove();
+    }
+    const spacer = () => {
+      const el = document.createElement(proto.tagName);
+      el.setAttribute('data-spacer', '');
+      el.setAttribute('aria-hidden', 'true');
+      el.style.cssText = 'height: 0px; margin: 0; padding: 0; border: 0; list-style: none;';
+      return container.appendChild(el);
+    };
+    const top = spacer();
+    const bottom = spacer();
+
+    const rendered = new Map(); // key -> row { el, snap, seg, value }
+    const pool = [];            // released rows: unbound, waiting for reuse
+    let entries = [];
+    let order = [];
+    let range = null;
+
+    function acquire(key, seg) {
+      let row = pool.pop();
+      if (row) {
+        restore(row.snap);
+      } else {
+        const el = document.importNode(proto, true);
+        row = { el, snap: snapshot(el) };
+      }
+      fillPlaceholders(row.el, { _key: key, _path: `${collPath}.${seg}` });
+      row.el.dataset.key = key;
+      return row;
+    }
+
+    function release(row) {
+      unbindWithin(row.el);
+      row.el.remove();
+      pool.push(row);
+    }
+
+    function update(force) {
+      const next = visibleRange(container.scrollTop, container.clientHeight, itemHeight, entries.length, overscan);
+      if (!force && range && next.start === range.start && next.end === range.end) return;
+      range = next;
+      const visible = entries.slice(range.start, range.end);
+      const wanted = new Map(visible.map(e => [e.key, e]));
+
+      for (const [k, row] of rendered) {
+        const e = wanted.get(k);
+        if (!e || e.seg !== row.seg || e.value !== row.value) {
+          release(row);
+          rendered.delete(k);
+        }
+      }
+
+      const moves = planMoves(
+        order.filter(k => rendered.has(k)),
+        visible.map(e => e.key).filter(k => rendered.has(k))
+      );
+      let anchor = bottom;
+      for (let i = visible.length - 1; i >= 0; i--) {
+        const { key, seg, value } = visible[i];
+        let row = rendered.get(key);
+        if (!row) {
+          row = Object.assign(acquire(key, seg), { seg, value });
+          container.insertBefore(row.el, anchor);
+          rendered.set(key, row);
+          bindTree(row.el);
+        } else if (moves.has(key)) {
+          container.insertBefore(row.el, anchor);
+        }
+        anchor = row.el;
+      }
+      order = visible.map(e => e.key);
+
+      top.style.height = `${range.start * itemHeight}px`;
+      bottom.style.height = `${(entries.length - range.end) * itemHeight}px`;
+    }
+
+    function refresh() {
+      entries = collectionEntries(store.get(collPath), view);
+      update(true);
+    }
+
+    // Scrolling re-windows at most once per frame
+    let frame = null;
+    listen(container, 'scroll', () => {
+      if (typeof requestAnimationFrame !== 'function') return update(false);
+      if (frame == null) {
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          update(false);
+        });
+      }
+    });
+    subs.push({ node: container, unsub: () => frame != null && cancelAnimationFrame(frame) });
+
+    if (typeof ResizeObserver === 'function') {
+      const ro = new ResizeObserver(() => update(false));
+      ro.observe(container);
+      subs.push({ node: container, unsub: () => ro.disconnect() });
+    }
+
+    watchPath(container, collPath, () => defer(container, refresh));
+    watchPath(container, `${collPath}.*`, ({ path }) => {
+      if (affectsCollection(path.slice(collPath.length + 1), view)) defer(container, refresh);
+    });
+
+    refresh();
+  }
+
+  // -- Conditional content: bind-if + <template> / <template else> --
+
+  function setupConditional(container) {
+    if (conditionals.has(container)) return;
+    const { path, negate } = parseCondition(container.getAttribute('bind-if'));
+    const tpls = Array.from(container.children).filter(c => c.tagName === 'TEMPLATE');
+    const thenTpl = tpls.find(t => !t.hasAttribute('else'));
+    const elseTpl = tpls.find(t => t.hasAttribute('else'));
+    if (!path || !thenTpl) {
+      if (path) report('missing-template', 'bind-if needs a <template> child', container, 'bind-if');
+      return;
+    }
+    conditionals.add(container);
+
+    // Everything but the templates is owned by the directive. When
+    // hydrating, the server already rendered the current branch.
+    const transition = container.getAttribute('transition');
+    let shown = null;
+    let nodes = Array.from(container.childNodes).filter(n => !tpls.includes(n));
+    if (hydrating) {
+      const v = store.get(path);
+      shown = negate ? !v : !!v;
+      for (const n of nodes) {
+        if (n instanceof Element) bindTree(n);
+      }
+    } else {
+      nodes.forEach(n => n.remove());
+      nodes = [];
+    }
+
+    addBinding(path, container, v => {
+      const next = negate ? !v : !!v;
+      if (next === shown) return;
+      const animate = transition && shown !== null;
+      shown = next;
+      nodes = swapBranch(container, nodes, next ? thenTpl : elseTpl, animate && transition);
+    }, 'bind-if');
+  }
+
+  // Tear down the outgoing branch before rendering `tpl` in its place.
+  // With a transition the old elements stay until their leave ends.
+  function swapBranch(container, nodes, tpl, transition) {
+    for (const n of nodes) {
+      if (n instanceof Element) cleanupWithin(n);
+      if (transition && n instanceof Element) leave(n, transition, () => n.remove());
+      else n.remove();
+    }
+    if (!tpl) return [];
+    const frag = tpl.content.cloneNode(true);
+    const added = Array.from(frag.childNodes);
+    container.appendChild(frag);
+    for (const n of added) {
+      if (!(n instanceof Element)) continue;
+      bindTree(n);
+      if (transition) enter(n, transition);
+    }
+    return added;
+  }
+
+  // -- Route outlet: bind-route="route.name" + <template route="name"> --
+
+  // Shows the template whose route attribute equals the value at the path
+  // (<template else> when none does). Only a change of route re-renders;
+  // param changes reach the shown branch through its own bindings.
+  function setupOutlet(container) {
+    if (outlets.has(container)) return;
+    const path = container.getAttribute('bind-route') || `${router ? router.path : 'route'}.name`;
+    const tpls = Array.from(container.children).filter(c => c.tagName === 'TEMPLATE');
+    if (!tpls.length) {
+      report('missing-template', 'bind-route needs <template route="name"> children', container, 'bind-route');
+      return;
+    }
+    outlets.add(container);
+    const pick = v => tpls.find(t => t.getAttribute('route') === String(v)) ||
+      tpls.find(t => t.hasAttribute('else')) || null;
+
+    const transition = container.getAttribute('transition');
+    let shown;
+    let nodes = Array.from(container.childNodes).filter(n => !tpls.includes(n));
+    if (hydrating) {
+      shown = pick(store.get(path));
+      for (const n of nodes) {
+        if (n instanceof Element) bindTree(n);
+      }
+    } else {
+      nodes.forEach(n => n.remove());
+      nodes = [];
+    }
+
+    addBinding(path, container, v => {
+      const tpl = pick(v);
+      if (tpl === shown) return;
+      const animate = transition && shown !== undefined;
+      shown = tpl;
+      nodes = swapBranch(container, nodes, tpl, animate && transition);
+    }, 'bind-route');
+  }
+
+  // -- Partials: use="#template-id" + scope="path" / bind-scope="path" --
+
+  function setupPartial(host) {
+    if (partials.has(host)) return;
+    const ref = host.getAttribute('use');
+    const id = ref.startsWith('#') ? ref.slice(1) : ref;
+    const tpl = (root.ownerDocument || document).getElementById(id);
+    if (!tpl || tpl.tagName !== 'TEMPLATE') {
+      report('missing-template', `no <template id="${id}"> to use`, host, 'use');
+      return;
+    }
+    partials.add(host);
+
+    // The host's own children are caller content the first time only; on
+    // a later mount they are the previous render, with the caller nodes
+    // moved into its slots. Take them back out before clearing the host.
+    if (!slotted.has(host)) slotted.set(host, Array.from(host.childNodes));
+    const provided = slotted.get(host);
+    provided.forEach(n => n.remove());
+    for (const n of Array.from(host.childNodes)) n.remove();
+    let nodes = [];
+
+    // Caller content keeps its bindings (they belong to the outer scope);
+    // everything the partial rendered is released
+    function clear() {
+      provided.forEach(n => n.remove());
+      for (const n of nodes) {
+        if (n instanceof Element) cleanupWithin(n);
+        n.remove();
+      }
+      nodes = [];
+    }
+
+    function render(scope) {
+      clear();
+      const frag = tpl.content.cloneNode(true);
+      rewriteScope(frag, scope);
+      fillSlots(frag, provided);
+      nodes = Array.from(frag.childNodes);
+      host.appendChild(frag);
+      for (const n of nodes) {
+        if (n instanceof Element) bindTree(n);
+      }
+    }
+
+    // bind-scope: the store value is the scope path, re-rendered on change
+    if (host.hasAttribute('bind-scope')) {
+      let current;
+      addBinding(host.getAttribute('bind-scope'), host, v => {
+        const scope = v == null ? '' : String(v);
+        if (scope === current) return;
+        current = scope;
+        if (scope) render(scope);
+        else clear();
+      }, 'bind-scope');
+    } else {
+      render(host.getAttribute('scope') || '');
+    }
   }
 
   // -- Init --
 
-  root.querySelectorAll('[each]').forEach(setupCollection);
-  scanBindings(root);
+  function bindTree(el) {
+    // persist="path" restores the path before anything renders from it
+    if (persist) {
+      for (const node of [el, ...el.querySelectorAll('[persist]')]) {
+        if (node.hasAttribute('persist') && owns(node)) persist.track(node.getAttribute('persist'));
+      }
+    }
+    const structural = el.querySelectorAll('[each], [bind-if], [bind-route], [use]');
+    for (const node of [el, ...structural]) {
+      if (!el.contains(node)) continue; // dropped by a partial with no slot for it
+      if (!owns(node)) continue;
+      if (node.hasAttribute('each')) setupCollection(node);
+      else if (node.hasAttribute('bind-if')) setupConditional(node);
+      else if (node.hasAttribute('bind-route')) setupOutlet(node);
+      else if (node.hasAttribute('use')) setupPartial(node);
+    }
+    scanBindings(el);
+  }
+
+  // Outer mounts hand this subtree over before it is bound
+  for (const [r, m] of mounts) {
+    if (r !== root && r.contains(root)) m.release(root);
+  }
+  let observer = null; // live mode, below; teardown reads it
+  mounts.set(root, {
+    release: node => unbindWithin(node),
+    rebind: node => bindTree(node),
+    teardown
+  });
+  if (debug) debug.attach(root, { store, subscriptions: () => subs.filter(s => s.watch).length });
+
+  // A mount that fails partway undoes what it bound, so the root can be
+  // mounted again once the markup is fixed
+  try {
+    bindTree(root);
+  } catch (err) {
+    teardown(false);
+    throw err;
+  }
+  hydrating = false;
+
+  // -- Live mode: bind inserted subtrees, release detached ones --
+
+  if (observe) {
+    observer = new MutationObserver(records => {
+      for (const rec of records) {
+        for (const node of rec.removedNodes) {
+          if (node instanceof Element && !root.contains(node)) unbindWithin(node);
+        }
+        for (const node of rec.addedNodes) {
+          if (node instanceof Element && root.contains(node)) bindTree(node);
+        }
+      }
+    });
+    observer.observe(root, { childList: true, subtree: true });
+  }
+
+  // Undo everything mount did: subscriptions, root and node listeners,
+  // timers, marks. The DOM is left as rendered; mounting again rebinds it.
+  function teardown(handBack = true) {
+    if (mounts.get(root)?.teardown !== teardown) return;
+    mounts.delete(root);
+    if (debug) debug.detach(root);
+    if (observer) observer.disconnect();
+    if (queue.size) dropQueued(root);
+    subs.splice(0).forEach(s => s.unsub());
+    debouncing.forEach(clearTimeout);
+    debouncing.clear();
+    delegated.clear();
+
+    // Outer mounts take the subtree back
+    if (handBack) {
+      for (const [r, m] of mounts) {
+        if (r.contains(root)) m.rebind(root);
+      }
+    }
+  }
+
+  return () => teardown();
+}
 
-  // Return cleanup function
-  return () => subs.forEach(s => s.unsub());
+// Bind server-rendered markup (see ssr.js) without re-rendering it: each and
+// bind-if adopt the nodes already in place, then everything binds as usual.
+export function hydrate(store, root = document.body, options = {}) {
+  return mount(store, root, { ...options, hydrate: true });
 }
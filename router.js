@@ -0,0 +1,168 @@
+/**
+ * @uistate/renderer/router: Hash / History API routing into store paths
+ *
+ * Copyright (c) 2025 Ajdin Imsirovic
+ *
+ * const router = createRouter(store, {
+ *   routes: { home: '', users: 'users', user: 'users/:id' }
+ * });
+ * mount(store, root, { router });
+ *
+ * The URL is mirrored into route.name / route.params / route.path /
+ * route.query. Back and forward re-sync from the URL; writing route.path
+ * from the app navigates.
+ *
+ * <a route="users/u1">Ada</a>              (delegated click, no reload)
+ * <main bind-route="route.name">
+ *   <template route="users">...</template>
+ *   <template route="user">...</template>
+ *   <template else>Not found</template>
+ * </main>
+ */
+
+const trim = s => String(s == null ? '' : s).replace(/^[#/]+|\/+$/g, '');
+const segments = s => trim(s).split('/').filter(Boolean);
+
+/**
+ * Match `path` against `pattern`. `:name` captures one segment, a trailing
+ * `*` captures the rest (as params['*']). Returns params, or null.
+ * @param {string} pattern - e.g. 'users/:id'
+ * @param {string} path - e.g. 'users/u1' (leading / or #/ ignored)
+ * @returns {Object|null}
+ */
+export function matchRoute(pattern, path) {
+  const want = segments(pattern);
+  const got = segments(String(path == null ? '' : path).split('?')[0]);
+  const params = {};
+  for (let i = 0; i < want.length; i++) {
+    const w = want[i];
+    if (w === '*' && i === want.length - 1) {
+      params['*'] = got.slice(i).map(decode).join('/');
+      return params;
+    }
+    if (i >= got.length) return null;
+    if (w.startsWith(':')) params[w.slice(1)] = decode(got[i]);
+    else if (w !== got[i]) return null;
+  }
+  return got.length === want.length ? params : null;
+}
+
+function decode(s) {
+  try { return decodeURIComponent(s); } catch { return s; }
+}
+
+/**
+ * Fill `:name` segments of `pattern` from `params`. Missing params are
+ * left as-is, so the result can be matched again later.
+ * @param {string} pattern - e.g. 'users/:id'
+ * @param {Object} [params]
+ * @returns {string} e.g. 'users/u1'
+ */
+export function buildPath(pattern, params = {}) {
+  return segments(pattern).map(s => {
+    if (!s.startsWith(':')) return s;
+    const v = params[s.slice(1)];
+    return v == null || v === '' ? s : encodeURIComponent(v);
+  }).join('/');
+}
+
+/**
+ * First route (in declaration order) that matches `path`.
+ * @param {Object} routes - name -> pattern
+ * @param {string} path
+ * @returns {{name: string|null, params: Object}}
+ */
+export function resolveRoute(routes, path) {
+  for (const [name, pattern] of Object.entries(routes || {})) {
+    const params = matchRoute(pattern, path);
+    if (params) return { name, params };
+  }
+  return { name: null, params: {} };
+}
+
+/**
+ * @param {Object} store - EventState store
+ * @param {Object} [options]
+ * @param {Object} [options.routes={}] - name -> pattern, first match wins
+ * @param {'hash'|'history'} [options.mode='hash'] - URL style
+ * @param {string} [options.path='route'] - Where route.name / params / path / query are written
+ * @param {string} [options.base=''] - Path prefix in history mode, e.g. '/app'
+ * @param {Window} [options.window] - Defaults to the global window
+ */
+export function createRouter(store, options = {}) {
+  const { routes = {}, mode = 'hash', path = 'route' } = options;
+  const base = trim(options.base || '');
+  const win = options.window || globalThis.window;
+
+  // Current URL as 'users/u1?tab=posts', without base or leading #/
+  function current() {
+    if (mode === 'hash') return win.location.hash.replace(/^#\/?/, '');
+    let p = trim(win.location.pathname);
+    if (base && (p === base || p.startsWith(`${base}/`))) p = trim(p.slice(base.length));
+    return p + win.location.search;
+  }
+
+  function sync() {
+    const [p, search = ''] = current().split('?');
+    const to = trim(p);
+    const { name, params } = resolveRoute(routes, to);
+    const old = store.get(`${path}.params`) || {};
+    store.batch(() => {
+      store.set(`${path}.name`, name);
+      store.set(`${path}.params`, params);
+      // Leaf writes so bind-text="route.params.id" hears the change too
+      for (const k of new Set([...Object.keys(old), ...Object.keys(params)])) {
+        store.set(`${path}.params.${k}`, k in params ? params[k] : null);
+      }
+      store.set(`${path}.query`, Object.fromEntries(new URLSearchParams(search)));
+      store.set(`${path}.path`, to);
+    });
+  }
+
+  // A route attribute may leave :name segments to the current params,
+  // so <a route="users/:id/edit"> stays on the shown user
+  function resolve(to) {
+    const [p, search] = String(to).split('?');
+    const filled = buildPath(p, store.get(`${path}.params`) || {});
+    return search ? `${filled}?${search}` : filled;
+  }
+
+  function href(to) {
+    const p = resolve(to);
+    if (mode === 'hash') return `#/${p}`;
+    return `/${[base, p].filter(Boolean).join('/')}`;
+  }
+
+  // Pushes a history entry (replace: rewrites the current one), then syncs
+  // right away rather than waiting for hashchange
+  function navigate(to, { replace = false } = {}) {
+    const p = resolve(to);
+    if (p !== current()) {
+      if (mode === 'hash' && !replace) win.location.hash = `/${p}`;
+      else win.history[replace ? 'replaceState' : 'pushState'](null, '', href(to));
+    }
+    sync();
+  }
+
+  // Back / forward (and hand-edited hashes) re-read the URL
+  const event = mode === 'hash' ? 'hashchange' : 'popstate';
+  win.addEventListener(event, sync);
+
+  // The app writing route.path navigates, unless it came from the URL
+  const unsub = store.subscribe(`${path}.path`, v => {
+    if (v != null && trim(v) !== trim(current().split('?')[0])) navigate(v);
+  });
+
+  sync();
+
+  return {
+    path,
+    navigate,
+    href,
+    resolve,
+    stop() {
+      win.removeEventListener(event, sync);
+      unsub();
+    }
+  };
+}
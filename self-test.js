@@ -1,15 +1,44 @@
 /**
  * @uistate/renderer: self-test
  *
- * Standalone test of pure functions. No dependencies beyond renderer.js.
+ * Standalone test of pure functions. No dependencies beyond renderer.js,
+ * router.js and persist.js.
  * Runs on `node self-test.js` or as a postinstall hook.
  */
 
 import {
   parseSetExpr,
   evalExpr,
-  parsePush
+  resolveOperand,
+  parseLiteral,
+  parseCall,
+  parseHandler,
+  parseOn,
+  matchKeys,
+  parseBinding,
+  evalBinding,
+  toClassList,
+  styleValue,
+  controlKind,
+  parseBindValue,
+  readControl,
+  writeControl,
+  parseRules,
+  validateValue,
+  parsePush,
+  checkPush,
+  parseCondition,
+  collectionEntries,
+  planMoves,
+  affectsCollection,
+  visibleRange,
+  transitionTimeout,
+  scopePath,
+  fillPlaceholders,
+  nextKey
 } from './renderer.js';
+import { matchRoute, buildPath, resolveRoute } from './router.js';
+import { migrate } from './persist.js';
 
 let passed = 0;
 let failed = 0;
@@ -75,6 +104,8 @@ assert('evalExpr: boolean true', evalExpr('true', 0) === true);
 assert('evalExpr: boolean false', evalExpr('false', 1) === false);
 assert('evalExpr: null keyword', evalExpr('null', 'x') === null);
 assert('evalExpr: plain string', evalExpr('hello', '') === 'hello');
+assert('evalExpr: quoted string is unquoted', evalExpr("'users.u1'", '') === 'users.u1');
+assert('evalExpr: quoted number stays a string', evalExpr("'007'", 0) === '007');
 assert('evalExpr: null expr -> returns current', evalExpr(null, 7) === 7);
 assert('evalExpr: undefined expr -> returns current', evalExpr(undefined, 7) === 7);
 
@@ -92,6 +123,394 @@ assert('parsePush: non-push returns null', parsePush('increment') === null);
 assert('parsePush: null returns null', parsePush(null) === null);
 assert('parsePush: empty string returns null', parsePush('') === null);
 
+console.log('\n4. parseCondition');
+const c1 = parseCondition('ui.open');
+assert('parseCondition: plain path', c1.path === 'ui.open' && c1.negate === false);
+
+const c2 = parseCondition('!ui.open');
+assert('parseCondition: ! negates', c2.path === 'ui.open' && c2.negate === true);
+
+const c3 = parseCondition('  ! ui.open ');
+assert('parseCondition: trims whitespace', c3.path === 'ui.open' && c3.negate === true);
+
+assert('parseCondition: empty -> empty path', parseCondition('').path === '');
+assert('parseCondition: null -> empty path', parseCondition(null).path === '');
+
+console.log('\n5. collectionEntries');
+const keysOf = entries => entries.map(e => e.key).join(',');
+
+const ce1 = collectionEntries({ t1: { text: 'a' }, t2: null, t3: { text: 'c' } });
+assert('collectionEntries: object keys, nulls skipped', keysOf(ce1) === 't1,t3');
+assert('collectionEntries: object seg is key', ce1[1].seg === 't3');
+
+const ce2 = collectionEntries(['x', 'y']);
+assert('collectionEntries: array keyed by index', keysOf(ce2) === '0,1');
+
+const ce3 = collectionEntries([{ id: 'a' }, { id: 'b' }], { key: 'id' });
+assert('collectionEntries: array keyed by field', keysOf(ce3) === 'a,b');
+assert('collectionEntries: keyed array seg is index', ce3[1].seg === '1');
+
+const users = [{ id: 1, name: 'Cy' }, { id: 2, name: 'Al' }, { id: 3, name: 'Bo', away: true }];
+assert('collectionEntries: sort-by field', keysOf(collectionEntries(users, { key: 'id', sortBy: 'name' })) === '2,3,1');
+assert('collectionEntries: sort-by -field descends', keysOf(collectionEntries(users, { key: 'id', sortBy: '-name' })) === '1,3,2');
+assert('collectionEntries: filter field', keysOf(collectionEntries(users, { key: 'id', filter: 'away' })) === '3');
+assert('collectionEntries: filter !field', keysOf(collectionEntries(users, { key: 'id', filter: '!away' })) === '1,2');
+assert('collectionEntries: null -> []', collectionEntries(null).length === 0);
+
+console.log('\n6. planMoves');
+const movesOf = (a, b) => [...planMoves(a, b)].sort().join(',');
+assert('planMoves: same order -> none', movesOf(['a', 'b', 'c'], ['a', 'b', 'c']) === '');
+assert('planMoves: last to front -> one move', movesOf(['a', 'b', 'c', 'd'], ['d', 'a', 'b', 'c']) === 'd');
+assert('planMoves: swap -> one move', planMoves(['a', 'b', 'c'], ['a', 'c', 'b']).size === 1);
+assert('planMoves: reverse -> n-1 moves', planMoves(['a', 'b', 'c'], ['c', 'b', 'a']).size === 2);
+assert('planMoves: new keys are not moves', movesOf(['a', 'b'], ['x', 'a', 'b']) === '');
+
+console.log('\n7. parseLiteral / parseCall');
+assert('parseLiteral: number', parseLiteral('10') === 10);
+assert('parseLiteral: boolean', parseLiteral('false') === false);
+assert('parseLiteral: JSON string', parseLiteral('"a b"') === 'a b');
+assert('parseLiteral: bare word', parseLiteral('EUR') === 'EUR');
+
+const call1 = parseCall('clamp(0,10)');
+assert('parseCall: name', call1 !== null && call1.name === 'clamp');
+assert('parseCall: literal args', call1.args[0] === 0 && call1.args[1] === 10);
+
+const call2 = parseCall("join(', ', \"x\")");
+assert('parseCall: quoted comma stays in arg', call2.args.length === 2 && call2.args[0] === ', ');
+assert('parseCall: no args', parseCall('reset()').args.length === 0);
+assert('parseCall: non-call returns null', parseCall('increment') === null);
+assert('parseCall: null returns null', parseCall(null) === null);
+
+const clampActions = { clamp: (cur, lo, hi) => Math.min(hi, Math.max(lo, cur)) };
+assert('evalExpr: registered action', evalExpr('clamp(0,10)', 42, { actions: clampActions }) === 10);
+assert('evalExpr: unknown action -> literal string', evalExpr('clamp(0,10)', 42) === 'clamp(0,10)');
+
+console.log('\n8. parseHandler');
+const h1 = parseHandler('@saveTodo(todos.t1)');
+assert('parseHandler: name', h1 !== null && h1.name === 'saveTodo');
+assert('parseHandler: path arg as string', h1.args.length === 1 && h1.args[0] === 'todos.t1');
+
+const h2 = parseHandler('@refresh');
+assert('parseHandler: bare name, no args', h2 !== null && h2.name === 'refresh' && h2.args.length === 0);
+
+const h3 = parseHandler("@rename(todos.t1, 'New name', 2)");
+assert('parseHandler: mixed args', h3.args[1] === 'New name' && h3.args[2] === 2);
+
+assert('parseHandler: plain set expr -> null', parseHandler('count:increment') === null);
+assert('parseHandler: null -> null', parseHandler(null) === null);
+
+console.log('\n9. parseOn / matchKeys');
+const o1 = parseOn('on-click');
+assert('parseOn: event name', o1 !== null && o1.event === 'click');
+assert('parseOn: no modifiers', !o1.prevent && !o1.stop && !o1.once && !o1.self && o1.debounce === null);
+
+const o2 = parseOn('on-submit.prevent.stop.once');
+assert('parseOn: flags', o2.prevent && o2.stop && o2.once && !o2.self);
+
+const o3 = parseOn('on-input.debounce(300)');
+assert('parseOn: debounce(ms)', o3.debounce === 300);
+assert('parseOn: bare debounce default', parseOn('on-input.debounce').debounce === 250);
+
+const o4 = parseOn('on-keydown.ctrl+s.prevent');
+assert('parseOn: key combo', o4.keys.join(',') === 'ctrl,s' && o4.prevent);
+
+assert('parseOn: set-submit alias prevents', parseOn('set-submit').event === 'submit' && parseOn('set-submit').prevent);
+assert('parseOn: set-escape alias', parseOn('set-escape').keys[0] === 'escape');
+assert('parseOn: non-on attr -> null', parseOn('bind-text') === null);
+assert('parseOn: legacy set is not an on-* attr', parseOn('set') === null);
+assert('parseOn: Object.prototype names are plain attrs', parseOn('constructor') === null && parseOn('toString') === null);
+
+const key = (k, mods = {}) => ({ key: k, ctrlKey: false, shiftKey: false, altKey: false, metaKey: false, ...mods });
+assert('matchKeys: no filter matches', matchKeys([], key('a')));
+assert('matchKeys: named key', matchKeys(['enter'], key('Enter')));
+assert('matchKeys: alias esc', matchKeys(['esc'], key('Escape')));
+assert('matchKeys: Object.prototype names are not aliases', matchKeys(['constructor'], key('constructor')));
+assert('matchKeys: wrong key', !matchKeys(['enter'], key('a')));
+assert('matchKeys: ctrl+s', matchKeys(['ctrl', 's'], key('s', { ctrlKey: true })));
+assert('matchKeys: ctrl+s needs ctrl', !matchKeys(['ctrl', 's'], key('s')));
+assert('matchKeys: ctrl+s is exact', !matchKeys(['ctrl', 's'], key('S', { ctrlKey: true, shiftKey: true })));
+
+console.log('\n10. resolveOperand / expression operators');
+const paths = { 'draft.text': 'Hello', 'item.price': 2.5, 'limits.max': 10 };
+const ctx = { get: p => paths[p], event: { target: { value: 'typed' }, detail: { id: 7 } } };
+
+assert('resolveOperand: store path', resolveOperand('draft.text', ctx) === 'Hello');
+assert('resolveOperand: number literal', resolveOperand('3', ctx) === 3);
+assert('resolveOperand: quoted string', resolveOperand("'draft.text'", ctx) === 'draft.text');
+assert('resolveOperand: $event path', resolveOperand('$event.target.value', ctx) === 'typed');
+assert('resolveOperand: $event.detail', resolveOperand('$event.detail', ctx).id === 7);
+assert('resolveOperand: missing event -> undefined', resolveOperand('$event.detail', {}) === undefined);
+
+assert('evalExpr: =path copies', evalExpr('=draft.text', '', ctx) === 'Hello');
+assert('evalExpr: =literal', evalExpr('=5', 0, ctx) === 5);
+assert('evalExpr: += path', evalExpr('+=item.price', 10, ctx) === 12.5);
+assert('evalExpr: -= literal', evalExpr('-=3', 10, ctx) === 7);
+assert('evalExpr: += from null', evalExpr('+=2', null, ctx) === 2);
+assert('evalExpr: $event value', evalExpr('$event.target.value', '', ctx) === 'typed');
+assert('evalExpr: min(path) caps', evalExpr('min(limits.max)', 42, ctx) === 10);
+assert('evalExpr: max(0) floors', evalExpr('max(0)', -3, ctx) === 0);
+assert('evalExpr: negative literal is not -=', evalExpr('-5', 1, ctx) === -5);
+assert('evalExpr: bare word stays literal', evalExpr('Bob', '', ctx) === 'Bob');
+
+console.log('\n11. parseBinding / evalBinding');
+const state = { user: { first: 'Ada', last: 'Lovelace' }, todos: { a: {}, b: null, c: {} }, n: 1, price: 3.5 };
+const get = path => path.split('.').reduce((o, k) => (o == null ? o : o[k]), state);
+const show = raw => evalBinding(parseBinding(raw), get);
+
+const b1 = parseBinding('user.name');
+assert('parseBinding: plain path', b1.terms.length === 1 && b1.terms[0].path === 'user.name' && b1.pipes.length === 0);
+
+const b2 = parseBinding("user.first + ' ' + user.last");
+assert('parseBinding: deps from every path term', b2.deps.join(',') === 'user.first,user.last');
+assert('parseBinding: quoted literal term', b2.terms[1].value === ' ');
+
+const b3 = parseBinding('cart.total | currency:EUR');
+assert('parseBinding: pipe with arg', b3.pipes[0].name === 'currency' && b3.pipes[0].args[0] === 'EUR');
+assert('parseBinding: | inside quotes is text', parseBinding("'a|b'").pipes.length === 0);
+
+assert('evalBinding: concatenation', show("user.first + ' ' + user.last") === 'Ada Lovelace');
+assert('evalBinding: missing path concatenates as empty', show("user.middle + '!'") === '!');
+assert('evalBinding: numbers add', show('price + 1') === 4.5);
+assert('evalBinding: count skips nulls', show('todos | count') === 2);
+assert('evalBinding: length', show('user.first | length') === 3);
+assert('evalBinding: pluralize many', show('todos | count | pluralize:item') === '2 items');
+assert('evalBinding: pluralize one, irregular', show('n | pluralize:child:children') === '1 child');
+assert('evalBinding: uppercase', show('user.first | uppercase') === 'ADA');
+assert('evalBinding: json', show('user | json') === '{"first":"Ada","last":"Lovelace"}');
+assert('evalBinding: number:2', show('price | number:2') === new Intl.NumberFormat(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(3.5));
+assert('evalBinding: date:iso', evalBinding(parseBinding('d | date:iso'), () => 0) === '1970-01-01T00:00:00.000Z');
+assert('evalBinding: date of null -> empty', show('user.born | date') === '');
+assert('evalBinding: custom formatter', evalBinding(parseBinding('n | twice'), get, { twice: v => v * 2 }) === 2);
+assert('evalBinding: unknown pipe passes through', show('n | nope') === 1);
+
+console.log('\n12. toClassList / styleValue');
+assert('toClassList: string', toClassList(' a  b ').join(',') === 'a,b');
+assert('toClassList: array', toClassList(['a', ['b', null]]).join(',') === 'a,b');
+assert('toClassList: object', toClassList({ a: true, b: false, c: 1 }).join(',') === 'a,c');
+assert('toClassList: null -> []', toClassList(null).length === 0);
+assert('toClassList: false -> []', toClassList(false).length === 0);
+
+assert('styleValue: number -> px', styleValue('width', 40) === '40px');
+assert('styleValue: explicit unit', styleValue('width', 40, '%') === '40%');
+assert('styleValue: unitless property', styleValue('opacity', 0.5) === '0.5');
+assert('styleValue: custom property stays unitless', styleValue('--accent-size', 2) === '2');
+assert('styleValue: string passes through', styleValue('color', 'red') === 'red');
+assert('styleValue: null -> remove', styleValue('width', null) === null);
+assert('styleValue: empty string -> remove', styleValue('width', '') === null);
+
+console.log('\n13. Form controls');
+const input = (type, props = {}) => ({ tagName: 'INPUT', type, value: '', checked: false, ...props });
+const select = (values, selected, multiple = true) => ({
+  tagName: 'SELECT', multiple,
+  options: values.map(v => ({ value: v, selected: selected.includes(v) }))
+});
+
+assert('controlKind: text input', controlKind(input('text')) === 'text');
+assert('controlKind: range is number', controlKind(input('range')) === 'number');
+assert('controlKind: datetime-local is date', controlKind(input('datetime-local')) === 'date');
+assert('controlKind: multi-select', controlKind(select([], [])) === 'multiple');
+assert('controlKind: textarea is text', controlKind({ tagName: 'TEXTAREA' }) === 'text');
+assert('controlKind: other element is editable', controlKind({ tagName: 'DIV' }) === 'editable');
+
+const bv = parseBindValue('bind-value.lazy.trim.debounce(300)');
+assert('parseBindValue: modifiers', bv.lazy && bv.trim && !bv.number && bv.debounce === 300);
+assert('parseBindValue: plain', parseBindValue('bind-value').lazy === false);
+assert('parseBindValue: other attr -> null', parseBindValue('bind-text') === null);
+
+assert('readControl: number input -> number', readControl(input('number', { value: '42' })) === 42);
+assert('readControl: empty number -> null', readControl(input('number')) === null);
+assert('readControl: date -> ISO string', readControl(input('date', { value: '2025-03-01' })) === '2025-03-01');
+assert('readControl: checkbox -> boolean', readControl(input('checkbox', { checked: true }), false) === true);
+assert('readControl: checkbox group adds value',
+  readControl(input('checkbox', { value: 'b', checked: true }), ['a']).join(',') === 'a,b');
+assert('readControl: checkbox group removes value',
+  readControl(input('checkbox', { value: 'a', checked: false }), ['a', 'b']).join(',') === 'b');
+assert('readControl: checked radio -> its value', readControl(input('radio', { value: 'm', checked: true })) === 'm');
+assert('readControl: unchecked radio -> no write', readControl(input('radio', { value: 'm' })) === undefined);
+assert('readControl: multi-select -> array', readControl(select(['x', 'y', 'z'], ['x', 'z'])).join(',') === 'x,z');
+assert('readControl: trim', readControl(input('text', { value: '  hi ' }), '', { trim: true }) === 'hi');
+assert('readControl: .number on text', readControl(input('text', { value: '7' }), '', { number: true }) === 7);
+assert('readControl: editable -> textContent', readControl({ tagName: 'DIV', textContent: 'note' }) === 'note');
+
+const radio = input('radio', { value: 'm' });
+writeControl(radio, 'm');
+assert('writeControl: radio checked by value', radio.checked === true);
+const box = input('checkbox', { value: 'b' });
+writeControl(box, ['a', 'b']);
+assert('writeControl: checkbox group membership', box.checked === true);
+const multi = select(['x', 'y'], []);
+writeControl(multi, ['y']);
+assert('writeControl: multi-select', !multi.options[0].selected && multi.options[1].selected);
+const num = input('number', { value: '1.' });
+writeControl(num, 1);
+assert('writeControl: keeps half-typed number', num.value === '1.');
+const day = input('date');
+writeControl(day, new Date('2025-03-01T12:00:00Z'));
+assert('writeControl: Date -> date input value', day.value === '2025-03-01');
+
+console.log('\n14. parseRules / validateValue');
+const r1 = parseRules('required|minlength:3');
+assert('parseRules: names', r1.map(r => r.name).join(',') === 'required,minlength');
+assert('parseRules: arg', r1[0].arg === null && r1[1].arg === '3');
+const r2 = parseRules('required|pattern:^(a|b):x$');
+assert('parseRules: pattern keeps | and :', r2.length === 2 && r2[1].arg === '^(a|b):x$');
+assert('parseRules: spaces tolerated', parseRules('email | max: 5')[1].arg === '5');
+assert('parseRules: empty -> []', parseRules('').length === 0);
+
+assert('validateValue: required empty', validateValue('', 'required') === 'Required');
+assert('validateValue: required false checkbox', validateValue(false, 'required') === 'Required');
+assert('validateValue: required ok', validateValue('x', 'required') === null);
+assert('validateValue: minlength', validateValue('ab', 'minlength:3') === 'At least 3 characters');
+assert('validateValue: maxlength', validateValue('abcd', 'maxlength:3') === 'At most 3 characters');
+assert('validateValue: min', validateValue(0, 'min:1') === 'Must be at least 1');
+assert('validateValue: max', validateValue(11, 'max:10') === 'Must be at most 10');
+assert('validateValue: email', validateValue('a@b', 'email') === 'Invalid email');
+assert('validateValue: pattern', validateValue('abc', 'pattern:^\\d+$') === 'Invalid format');
+assert('validateValue: integer', validateValue(1.5, 'integer') === 'Must be a whole number');
+assert('validateValue: empty skips non-required rules', validateValue('', 'minlength:3|email') === null);
+assert('validateValue: first failure wins', validateValue('', 'required|minlength:3') === 'Required');
+assert('validateValue: Object.prototype names are not rules',
+  validateValue('x', 'constructor') === null && validateValue('x', 'toString') === null);
+const ruleErrors = [];
+assert('validateValue: a rule that throws is skipped with onRuleError',
+  validateValue('xyz', 'minlength:3|pattern:(', {}, name => ruleErrors.push(name)) === null &&
+  ruleErrors.join() === 'pattern');
+assert('validateValue: custom rule',
+  validateValue('bob', 'taken', { taken: v => v === 'bob' ? 'Taken' : null }) === 'Taken');
+assert('validateValue: unknown rule ignored', validateValue('x', 'nope') === null);
+
+console.log('\n15. affectsCollection');
+assert('affectsCollection: item added/replaced', affectsCollection('t1') === true);
+assert('affectsCollection: leaf edit ignored', affectsCollection('t1.text') === false);
+assert('affectsCollection: leaf edit, unrelated view', affectsCollection('t1.text', { sortBy: 'date', filter: 'done' }) === false);
+assert('affectsCollection: sort field', affectsCollection('t1.date', { sortBy: '-date' }) === true);
+assert('affectsCollection: filter field', affectsCollection('t1.done', { filter: '!done' }) === true);
+assert('affectsCollection: key field', affectsCollection('0.id', { key: 'id' }) === true);
+assert('affectsCollection: nested sort field', affectsCollection('t1.meta.rank', { sortBy: 'meta.rank' }) === true);
+assert('affectsCollection: parent of sort field', affectsCollection('t1.meta', { sortBy: 'meta.rank' }) === true);
+assert('affectsCollection: inside sort field', affectsCollection('t1.due.day', { sortBy: 'due' }) === true);
+assert('affectsCollection: prefix is not a parent', affectsCollection('t1.dated', { sortBy: 'date' }) === false);
+
+console.log('\n16. visibleRange');
+const vr = (...a) => { const r = visibleRange(...a); return `${r.start}-${r.end}`; };
+assert('visibleRange: top of list', vr(0, 100, 20, 1000, 2) === '0-7');
+assert('visibleRange: scrolled', vr(2000, 100, 20, 1000, 2) === '98-107');
+assert('visibleRange: partial row counts', vr(10, 100, 20, 1000, 0) === '0-6');
+assert('visibleRange: clamped at the end', vr(19950, 100, 20, 1000, 2) === '995-1000');
+assert('visibleRange: short list', vr(0, 500, 20, 3) === '0-3');
+assert('visibleRange: default overscan 3', vr(400, 100, 20, 1000) === '17-28');
+assert('visibleRange: no item height -> everything', vr(0, 100, 0, 50) === '0-50');
+assert('visibleRange: empty', vr(0, 100, 20, 0) === '0-0');
+
+console.log('\n17. transitionTimeout');
+assert('transitionTimeout: none', transitionTimeout({}) === 0);
+assert('transitionTimeout: 0s', transitionTimeout({ transitionDuration: '0s', transitionDelay: '0s' }) === 0);
+assert('transitionTimeout: seconds', transitionTimeout({ transitionDuration: '0.3s' }) === 300);
+assert('transitionTimeout: ms + delay', transitionTimeout({ transitionDuration: '200ms', transitionDelay: '50ms' }) === 250);
+assert('transitionTimeout: longest of a list',
+  transitionTimeout({ transitionDuration: '0.1s, 0.4s', transitionDelay: '0s' }) === 400);
+assert('transitionTimeout: delays repeat',
+  transitionTimeout({ transitionDuration: '0.1s, 0.2s', transitionDelay: '0.5s' }) === 700);
+assert('transitionTimeout: animation wins when longer',
+  transitionTimeout({ transitionDuration: '0.2s', animationDuration: '1s', animationDelay: '0s' }) === 1000);
+
+console.log('\n18. scopePath');
+assert('scopePath: relative path', scopePath('.name', 'users.u1') === 'users.u1.name');
+assert('scopePath: lone dot', scopePath('.', 'users.u1') === 'users.u1');
+assert('scopePath: absolute path untouched', scopePath('title', 'users.u1') === 'title');
+assert('scopePath: set expression', scopePath('.active:toggle', 's') === 's.active:toggle');
+assert('scopePath: operand', scopePath('.total:+=.price', 's') === 's.total:+=s.price');
+assert('scopePath: negation', scopePath('!.done', 's') === '!s.done');
+assert('scopePath: handler args', scopePath('@save(., .id)', 's') === '@save(s, s.id)');
+assert('scopePath: expression terms', scopePath(".first + ' ' + .last | uppercase", 's') === "s.first + ' ' + s.last | uppercase");
+assert('scopePath: strings untouched', scopePath(".a:'.b'", 's') === "s.a:'.b'");
+assert('scopePath: numbers untouched', scopePath('.n | number:.5', 's') === 's.n | number:.5');
+assert('scopePath: $event reads untouched', scopePath('.v:$event.target.value', 's') === 's.v:$event.target.value');
+assert('scopePath: no scope -> unchanged', scopePath('.name', '') === '.name');
+
+console.log('\n19. fillPlaceholders (hostile keys)');
+// Minimal stand-ins for DOM nodes: attributes, text, children
+const text = v => ({ nodeType: 3, nodeValue: v, childNodes: [] });
+const elem = (tagName, attrs, children = []) => {
+  const el = { nodeType: 1, tagName, attributes: Object.entries(attrs).map(([name, value]) => ({ name, value })), childNodes: children };
+  el.hasAttribute = name => el.attributes.some(a => a.name === name);
+  children.forEach(c => { c.parentElement = el; });
+  return el;
+};
+const hostile = `"><img src=x onerror=alert(1)>`;
+const item = elem('LI', { title: '{_key}', 'bind-text': '{_path}.text' }, [text('#{_key}')]);
+fillPlaceholders(item, { _key: hostile, _path: 'todos.x' });
+assert('fillPlaceholders: attribute gets the raw key', item.attributes[0].value === hostile);
+assert('fillPlaceholders: path placeholder', item.attributes[1].value === 'todos.x.text');
+assert('fillPlaceholders: text gets the raw key', item.childNodes[0].nodeValue === `#${hostile}`);
+assert('fillPlaceholders: no elements created', item.childNodes.length === 1);
+const dollar = elem('LI', { title: '{_key}' });
+fillPlaceholders(dollar, { _key: "$&$'$1" });
+assert('fillPlaceholders: $ patterns stay literal', dollar.attributes[0].value === "$&$'$1");
+const recursive = elem('LI', { title: '{_key}/{_path}' });
+fillPlaceholders(recursive, { _key: '{_path}', _path: 'p' });
+assert('fillPlaceholders: single pass (key text not re-expanded)', recursive.attributes[0].value === '{_path}/p');
+const unknown = elem('LI', { title: '{_other}' });
+fillPlaceholders(unknown, { _key: 'k' });
+assert('fillPlaceholders: unknown names kept', unknown.attributes[0].value === '{_other}');
+const inner = elem('TEMPLATE', {}, []);
+inner.content = elem('#fragment', {}, [elem('B', { title: '{_key}' })]);
+const outer = elem('UL', { each: '{_path}.sub' }, [inner]);
+fillPlaceholders(outer, { _key: 'k', _path: 'p' });
+assert('fillPlaceholders: nested each template untouched',
+  outer.attributes[0].value === 'p.sub' && inner.content.childNodes[0].attributes[0].value === '{_key}');
+
+console.log('\n20. push options / nextKey');
+const po = parsePush('push(draft, key=uuid, reset=defaults.todo)');
+assert('parsePush: options', po.source === 'draft' && po.key === 'uuid' && po.reset === 'defaults.todo' && po.prefix === null);
+assert('parsePush: key field', parsePush('push(form, key=id)').key === 'id');
+assert('parsePush: prefix', parsePush('push(draft, prefix=log-)').prefix === 'log-');
+assert('parsePush: empty prefix', parsePush('push(draft, prefix=)').prefix === '');
+assert('parsePush: unknown options ignored', parsePush('push(draft, color=red)').key === null);
+assert('parsePush: no options -> nulls', parsePush('push(draft)').reset === null);
+assert('nextKey: empty collection', nextKey([]) === 't_1');
+assert('nextKey: after the highest', nextKey(['t_2', 't_10', 't_3']) === 't_11');
+assert('nextKey: ignores other keys', nextKey(['t1', 'x_9', 't_x', 't_4']) === 't_5');
+assert('nextKey: prefix', nextKey(['log-1'], 'log-') === 'log-2');
+assert('nextKey: never below last issued', nextKey(['t_2'], 't_', 7) === 't_8');
+assert('nextKey: Date.now() keys are counted too', nextKey(['t_1700000000000']) === 't_1700000000001');
+
+console.log('\n21. matchRoute / buildPath / resolveRoute');
+assert('matchRoute: static', JSON.stringify(matchRoute('users', 'users')) === '{}');
+assert('matchRoute: param', matchRoute('users/:id', 'users/u1').id === 'u1');
+assert('matchRoute: leading #/ and slashes ignored', matchRoute('/users/:id/', '#/users/u1/').id === 'u1');
+assert('matchRoute: decodes params', matchRoute('tags/:t', 'tags/a%20b').t === 'a b');
+assert('matchRoute: query ignored', matchRoute('users/:id', 'users/u1?tab=x').id === 'u1');
+assert('matchRoute: too short -> null', matchRoute('users/:id', 'users') === null);
+assert('matchRoute: too long -> null', matchRoute('users', 'users/u1') === null);
+assert('matchRoute: mismatch -> null', matchRoute('users/:id', 'posts/1') === null);
+assert('matchRoute: empty pattern matches root', JSON.stringify(matchRoute('', '')) === '{}');
+assert('matchRoute: trailing * takes the rest', matchRoute('files/*', 'files/a/b.txt')['*'] === 'a/b.txt');
+assert('buildPath: fills params', buildPath('users/:id/edit', { id: 'u 1' }) === 'users/u%201/edit');
+assert('buildPath: missing param kept', buildPath('users/:id', {}) === 'users/:id');
+const rt = { home: '', user: 'users/:id', any: '*' };
+assert('resolveRoute: first match wins', resolveRoute(rt, 'users/u1').name === 'user');
+assert('resolveRoute: fallback route', resolveRoute(rt, 'nope/x').name === 'any');
+assert('resolveRoute: no match -> null', resolveRoute({ home: '' }, 'x').name === null);
+
+console.log('\n22. migrate');
+const steps = { 2: d => ({ ...d, b: 1 }), 3: d => ({ ...d, c: d.b + 1 }) };
+const saved = { a: 1 };
+assert('migrate: same version unchanged', migrate(saved, 3, 3, steps) === saved);
+assert('migrate: runs each step in order', migrate({}, 1, 3, steps).c === 2);
+assert('migrate: starts after the saved version', migrate({ b: 5 }, 2, 3, steps).c === 6);
+assert('migrate: missing steps are skipped', migrate('x', 1, 5, {}) === 'x');
+assert('migrate: newer than current -> undefined', migrate({}, 4, 3, steps) === undefined);
+
+console.log('\n23. checkPush');
+assert('checkPush: valid push', checkPush('push(draft, key=id, reset=defaults.todo)') === null);
+assert('checkPush: not a push', checkPush('increment') === null && checkPush('push-button') === null);
+assert('checkPush: missing parens', /malformed push/.test(checkPush('push draft')));
+assert('checkPush: unclosed paren', /malformed push/.test(checkPush('push(draft')));
+assert('checkPush: bare push has no source', /source path/.test(checkPush('push')));
+assert('checkPush: unknown option', /"colour=red"/.test(checkPush('push(draft, colour=red)')));
+assert('checkPush: option without a value', /"key"/.test(checkPush('push(draft, key)')));
+
 // -- Results ---------------------------------------------------------
 
 console.log(`\n@uistate/renderer v1.0.0 — self-test`);
@@ -0,0 +1,363 @@
+/**
+ * @uistate/renderer/ssr: Server-side rendering to an HTML string
+ *
+ * Copyright (c) 2025 Ajdin Imsirovic
+ *
+ * renderToString(store, html) resolves bind-text, bind-attr-*, bind-data-*,
+ * bind-value, bind-show, bind-class(-*), bind-style-*, bind-if, bind-route and
+ * each templates into static markup, with no DOM library. The output keeps every
+ * attribute and <template>, so hydrate(store, root) in the browser adopts
+ * the rendered nodes instead of re-creating them.
+ *
+ * The parser is deliberately small: it handles the well-formed markup that
+ * renderer templates are written in, not every quirk of the HTML spec.
+ */
+
+import {
+  parseBinding,
+  evalBinding,
+  parseCondition,
+  collectionEntries,
+  toClassList,
+  styleValue,
+  controlKind
+} from './renderer.js';
+
+const VOID = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+const RAW_TEXT = new Set(['script', 'style', 'textarea', 'title']);
+
+// -- Escaping ----------------------------------------------------------
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decode(str) {
+  return str.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[e] ?? m;
+  });
+}
+
+export function escapeHTML(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// -- Parse / serialize -------------------------------------------------
+
+// Element: { type: 'element', tag, attrs: Map, children, parent }
+// Text:    { type: 'text', html }   (already-escaped markup)
+// Raw:     { type: 'raw', html }    (comments, doctype)
+export function parseHTML(html) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  const push = node => {
+    node.parent = top();
+    top().children.push(node);
+  };
+  let i = 0;
+
+  while (i < html.length) {
+    if (html.startsWith('<!--', i)) {
+      const end = html.indexOf('-->', i + 4);
+      const j = end === -1 ? html.length : end + 3;
+      push({ type: 'raw', html: html.slice(i, j) });
+      i = j;
+      continue;
+    }
+
+    if (html.startsWith('<!', i) || html.startsWith('<?', i)) {
+      const end = html.indexOf('>', i);
+      const j = end === -1 ? html.length : end + 1;
+      push({ type: 'raw', html: html.slice(i, j) });
+      i = j;
+      continue;
+    }
+
+    const close = /^<\/([A-Za-z][\w:-]*)\s*>/.exec(html.slice(i, i + 200));
+    if (close) {
+      const tag = close[1].toLowerCase();
+      for (let k = stack.length - 1; k > 0; k--) {
+        if (stack[k].tag === tag) {
+          stack.length = k;
+          break;
+        }
+      }
+      i += close[0].length;
+      continue;
+    }
+
+    const open = /^<([A-Za-z][\w:-]*)/.exec(html.slice(i, i + 200));
+    if (open) {
+      const el = { type: 'element', tag: open[1].toLowerCase(), attrs: new Map(), children: [] };
+      i += open[0].length;
+
+      const attrRe = /\s*([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?|\s*(\/?>)/y;
+      for (;;) {
+        attrRe.lastIndex = i;
+        const m = attrRe.exec(html);
+        if (!m) { i = html.length; break; }
+        i = attrRe.lastIndex;
+        if (m[5]) break;
+        el.attrs.set(m[1].toLowerCase(), decode(m[2] ?? m[3] ?? m[4] ?? ''));
+      }
+
+      push(el);
+      if (VOID.has(el.tag)) continue;
+
+      if (RAW_TEXT.has(el.tag)) {
+        const end = html.toLowerCase().indexOf(`</${el.tag}`, i);
+        const j = end === -1 ? html.length : end;
+        if (j > i) el.children.push({ type: 'text', html: html.slice(i, j), parent: el });
+        i = j;
+        continue;
+      }
+
+      stack.push(el);
+      continue;
+    }
+
+    // Text runs to the next '<' (a stray '<' is kept as text)
+    const next = html.indexOf('<', i + 1);
+    const j = next === -1 ? html.length : next;
+    push({ type: 'text', html: html.slice(i, j) });
+    i = j;
+  }
+
+  return root;
+}
+
+export function serializeHTML(node) {
+  if (node.type === 'text' || node.type === 'raw') return node.html;
+  const inner = node.children.map(serializeHTML).join('');
+  if (node.type === 'root') return inner;
+
+  let attrs = '';
+  for (const [name, value] of node.attrs) {
+    attrs += value === '' ? ` ${name}` : ` ${name}="${escapeHTML(value)}"`;
+  }
+  if (VOID.has(node.tag)) return `<${node.tag}${attrs}>`;
+  return `<${node.tag}${attrs}>${inner}</${node.tag}>`;
+}
+
+// -- Tree helpers ------------------------------------------------------
+
+function clone(node, parent) {
+  const copy = { ...node, parent };
+  if (node.attrs) copy.attrs = new Map(node.attrs);
+  if (node.children) copy.children = node.children.map(c => clone(c, copy));
+  return copy;
+}
+
+const elements = node => node.children.filter(c => c.type === 'element');
+
+function textOf(node) {
+  if (node.type === 'text') return decode(node.html);
+  return node.children ? node.children.map(textOf).join('') : '';
+}
+
+function setText(el, value) {
+  el.children = [{ type: 'text', html: escapeHTML(value != null ? String(value) : ''), parent: el }];
+}
+
+// Same rules as the renderer: attributes and text only, and templates that
+// belong to a nested `each` keep their own placeholders.
+function fillPlaceholders(node, vars) {
+  const fill = (str, esc) => str.replace(/\{(_\w+)\}/g, (m, name) =>
+    name in vars ? (esc ? escapeHTML(vars[name]) : vars[name]) : m);
+
+  if (node.type === 'text') {
+    node.html = fill(node.html, true);
+    return;
+  }
+  if (node.type !== 'element') return;
+  for (const [name, value] of node.attrs) node.attrs.set(name, fill(value, false));
+  if (node.tag === 'template' && node.parent && node.parent.attrs && node.parent.attrs.has('each')) return;
+  node.children.forEach(c => fillPlaceholders(c, vars));
+}
+
+// -- Rendering ---------------------------------------------------------
+
+function renderElement(el, ctx) {
+  if (el.tag === 'template') return;
+
+  // Children that exist before structural rendering; items and branches
+  // added below are rendered as they are created
+  const children = elements(el);
+
+  applyBindings(el, ctx);
+  for (const child of children) renderElement(child, ctx);
+
+  if (el.attrs.has('each')) renderCollection(el, ctx);
+  else if (el.attrs.has('bind-if')) renderConditional(el, ctx);
+  else if (el.attrs.has('bind-route')) renderOutlet(el, ctx);
+}
+
+function applyBindings(el, ctx) {
+  const value = raw => evalBinding(parseBinding(raw), ctx.get, ctx.formatters);
+  const attrs = el.attrs;
+
+  if (attrs.has('bind-text')) setText(el, value(attrs.get('bind-text')));
+
+  if (attrs.has('bind-show')) {
+    const { path, negate } = parseCondition(attrs.get('bind-show'));
+    const v = ctx.get(path);
+    if (negate ? !!v : !v) attrs.set('hidden', '');
+    else attrs.delete('hidden');
+  }
+
+  const valueName = [...attrs.keys()].find(n => n === 'bind-value' || n.startsWith('bind-value.'));
+  if (valueName) renderValue(el, ctx.get(attrs.get(valueName)));
+
+  const classes = [];
+  const styles = [];
+  if (attrs.has('bind-class')) classes.push(...toClassList(value(attrs.get('bind-class'))));
+
+  for (const [name, raw] of [...attrs]) {
+    if (name.startsWith('bind-data-')) {
+      const v = value(raw);
+      attrs.set(`data-${name.slice(10)}`, v != null ? String(v) : '');
+    } else if (name.startsWith('bind-attr-')) {
+      const v = value(raw);
+      if (v != null) attrs.set(name.slice(10), String(v));
+      else attrs.delete(name.slice(10));
+    } else if (name.startsWith('bind-class-')) {
+      if (value(raw)) classes.push(name.slice(11));
+    } else if (name.startsWith('bind-style-')) {
+      const dot = name.indexOf('.', 11);
+      const prop = dot === -1 ? name.slice(11) : name.slice(11, dot);
+      const css = styleValue(prop, value(raw), dot === -1 ? null : name.slice(dot + 1));
+      if (css != null) styles.push(`${prop}: ${css}`);
+    }
+  }
+
+  if (classes.length) {
+    const list = toClassList(attrs.get('class'));
+    for (const c of classes) if (!list.includes(c)) list.push(c);
+    attrs.set('class', list.join(' '));
+  }
+  if (styles.length) {
+    const base = (attrs.get('style') || '').trim();
+    const head = base && !base.endsWith(';') ? `${base};` : base;
+    attrs.set('style', [head, ...styles.map(s => `${s};`)].filter(Boolean).join(' '));
+  }
+}
+
+function renderValue(el, v) {
+  const kind = controlKind({
+    tagName: el.tag,
+    type: el.attrs.get('type'),
+    multiple: el.attrs.has('multiple')
+  });
+  const own = el.attrs.get('value') ?? 'on';
+
+  if (kind === 'checkbox' || kind === 'radio') {
+    const on = kind === 'radio' ? v != null && String(v) === own :
+      Array.isArray(v) ? v.includes(own) : !!v;
+    if (on) el.attrs.set('checked', '');
+    else el.attrs.delete('checked');
+  } else if (kind === 'select' || kind === 'multiple') {
+    const wanted = (Array.isArray(v) ? v : [v]).filter(x => x != null).map(String);
+    const visit = node => elements(node).forEach(child => {
+      if (child.tag === 'option') {
+        const val = child.attrs.get('value') ?? textOf(child).trim();
+        if (wanted.includes(val)) child.attrs.set('selected', '');
+        else child.attrs.delete('selected');
+      } else {
+        visit(child);
+      }
+    });
+    visit(el);
+  } else if (kind === 'file') {
+    // file inputs can't carry a value
+  } else if (el.tag === 'textarea' || kind === 'editable') {
+    setText(el, v);
+  } else {
+    el.attrs.set('value', v != null ? String(v) : '');
+  }
+}
+
+function renderCollection(container, ctx) {
+  const collPath = container.attrs.get('each');
+  const tpl = elements(container).find(c => c.tag === 'template');
+  if (!collPath || !tpl) return;
+  const proto = elements(tpl)[0];
+  if (!proto) return;
+
+  // Drop anything rendered before (re-rendering an SSR page is idempotent)
+  container.children = container.children.filter(c => c.type !== 'element' || !c.attrs.has('data-key'));
+
+  const view = {
+    key: container.attrs.get('key'),
+    sortBy: container.attrs.get('sort-by'),
+    filter: container.attrs.get('filter')
+  };
+  for (const { key, seg } of collectionEntries(ctx.get(collPath), view)) {
+    const item = clone(proto, container);
+    fillPlaceholders(item, { _key: key, _path: `${collPath}.${seg}` });
+    item.attrs.set('data-key', key);
+    container.children.push(item);
+    renderElement(item, ctx);
+  }
+}
+
+function renderConditional(container, ctx) {
+  const { path, negate } = parseCondition(container.attrs.get('bind-if'));
+  const tpls = elements(container).filter(c => c.tag === 'template');
+  const thenTpl = tpls.find(t => !t.attrs.has('else'));
+  const elseTpl = tpls.find(t => t.attrs.has('else'));
+  if (!path || !thenTpl) return;
+
+  container.children = container.children.filter(c => tpls.includes(c));
+  const v = ctx.get(path);
+  renderBranch(container, (negate ? !v : !!v) ? thenTpl : elseTpl, ctx);
+}
+
+function renderOutlet(container, ctx) {
+  const path = container.attrs.get('bind-route') || 'route.name';
+  const tpls = elements(container).filter(c => c.tag === 'template');
+  if (!tpls.length) return;
+
+  container.children = container.children.filter(c => tpls.includes(c));
+  const v = String(ctx.get(path));
+  renderBranch(container, tpls.find(t => t.attrs.get('route') === v) ||
+    tpls.find(t => t.attrs.has('else')), ctx);
+}
+
+function renderBranch(container, tpl, ctx) {
+  if (!tpl) return;
+  for (const child of tpl.children) {
+    const copy = clone(child, container);
+    container.children.push(copy);
+    if (copy.type === 'element') renderElement(copy, ctx);
+  }
+}
+
+// -- Public API --------------------------------------------------------
+
+/**
+ * Render `html` against the store's current state.
+ * @param {{ get: Function }} store - Any object with get(path)
+ * @param {string} html - Markup using renderer attributes
+ * @param {{ formatters?: Object }} [options] - Extra pipes, as for mount()
+ * @returns {string} Static markup, ready for hydrate()
+ */
+export function renderToString(store, html, options = {}) {
+  const tree = parseHTML(html);
+  const ctx = {
+    get: path => store.get(path),
+    formatters: options.formatters || {}
+  };
+  elements(tree).forEach(el => renderElement(el, ctx));
+  return serializeHTML(tree);
+}
@@ -0,0 +1,527 @@
+/**
+ * @uistate/renderer: DOM tests
+ *
+ * mount() against a jsdom document: lifecycle, reconciling and actions,
+ * the parts the pure-function and store tests can't reach.
+ * Requires jsdom and @uistate/core.
+ */
+
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<!DOCTYPE html><body></body>', { url: 'https://example.test/' });
+const { window } = dom;
+for (const name of ['window', 'document', 'Element', 'Node', 'HTMLElement', 'MutationObserver', 'Event', 'MouseEvent', 'KeyboardEvent']) {
+  globalThis[name] = name === 'window' ? window : window[name];
+}
+globalThis.requestAnimationFrame = fn => setTimeout(fn, 16);
+
+const { mount, flush } = await import('../renderer.js');
+const { createRouter } = await import('../router.js');
+const { createDevtools } = await import('../devtools.js');
+const { createEventState } = await import('@uistate/core');
+
+let passed = 0;
+let failed = 0;
+
+function assert(name, condition) {
+  if (condition) {
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } else {
+    failed++;
+    console.error(`  ✗ ${name}`);
+  }
+}
+
+function page(html) {
+  document.body.innerHTML = html;
+  return document.body;
+}
+
+const text = el => el.innerHTML.replace(/\s+/g, ' ');
+
+// -- 1. Mounting again ------------------------------------------------
+
+console.log('\n1. mount / cleanup / mount again');
+{
+  const root = page(`
+    <template id="card"><div class="card"><b bind-text=".name"></b><slot></slot></div></template>
+    <section id="host" use="#card" scope="user"><i>caller</i></section>`);
+  const store = createEventState({ user: { name: 'Ada' } });
+  const cleanup = mount(store, root);
+  const first = text(root);
+  cleanup();
+  mount(store, root);
+  const second = text(root);
+  mount(store, root); // same root again replaces the previous mount
+  assert('partial: remount after cleanup renders once', second === first);
+  assert('partial: mounting the same root again renders once', text(root) === first);
+  assert('partial: caller content stays in the slot', document.querySelectorAll('#host .card').length === 1 &&
+    document.querySelector('#host .card > i').textContent === 'caller');
+  store.set('user.name', 'Bob');
+  assert('partial: remounted bindings are live', document.querySelector('#host b').textContent === 'Bob');
+}
+
+{
+  const root = page('<p id="t" bind-text="n"></p><button id="b" set="n:increment"></button>');
+  const store = createEventState({ n: 0 });
+  const cleanup = mount(store, root);
+  cleanup();
+  store.set('n', 5);
+  document.getElementById('b').click();
+  assert('cleanup: no bindings or actions afterwards', document.getElementById('t').textContent === '0' && store.get('n') === 5);
+  mount(store, root);
+  document.getElementById('b').click();
+  assert('cleanup: mounting again binds from scratch', store.get('n') === 6 && document.getElementById('t').textContent === '6');
+}
+
+{
+  page('<div id="outer"><p id="o" bind-text="n"></p><div id="inner"><p id="i" bind-text="n"></p></div></div>');
+  const a = createEventState({ n: 'a' });
+  const b = createEventState({ n: 'b' });
+  mount(a, document.getElementById('outer'));
+  const stopInner = mount(b, document.getElementById('inner'));
+  assert('nested: inner root belongs to its own store', document.getElementById('i').textContent === 'b');
+  a.set('n', 'a2');
+  assert('nested: outer store leaves the inner root alone', document.getElementById('i').textContent === 'b');
+  stopInner();
+  a.set('n', 'a3');
+  assert('nested: cleanup hands the inner root back', document.getElementById('i').textContent === 'a3');
+}
+
+{
+  const root = page('<p id="n" bind-text="n"></p><p id="bad" bind-boom="n"></p>');
+  const store = createEventState({ n: 1 });
+  const boom = () => { throw new Error('boom'); };
+  let threw = null;
+  try {
+    mount(store, root, { directives: { boom } });
+  } catch (err) {
+    threw = err;
+  }
+  store.set('n', 2);
+  assert('failed mount: the error reaches the caller', threw && threw.message === 'boom');
+  assert('failed mount: bindings made before the error are released', document.getElementById('n').textContent === '1');
+  document.getElementById('bad').removeAttribute('bind-boom');
+  let again = null;
+  try {
+    mount(store, root);
+  } catch (err) {
+    again = err;
+  }
+  assert('failed mount: the root can be mounted again', again === null && document.getElementById('n').textContent === '2');
+}
+
+// -- 2. Async handlers ------------------------------------------------
+
+console.log('\n2. async handlers');
+{
+  const unhandled = [];
+  const onUnhandled = err => unhandled.push(err);
+  process.on('unhandledRejection', onUnhandled);
+
+  const root = page('<button id="save" set="@save">Save</button><button id="quiet" set="@save">Save</button>');
+  const store = createEventState({});
+  const reports = [];
+  const cleanup = mount(store, root, {
+    handlers: { save: () => Promise.reject(new Error('offline')) },
+    onError: e => reports.push(e)
+  });
+  const button = document.getElementById('save');
+  button.click();
+  assert('handler: pending while the promise runs', button.dataset.pending === 'true');
+  await new Promise(r => setTimeout(r, 10));
+  assert('handler: rejection clears pending', !('pending' in button.dataset));
+  assert('handler: rejection goes to onError', reports.length === 1 && reports[0].code === 'handler-error' &&
+    reports[0].attr === 'set' && reports[0].error.message === 'offline');
+  cleanup();
+
+  // Without onError or dev the error is logged, never re-thrown
+  const logged = [];
+  const error = console.error;
+  console.error = (...args) => logged.push(args);
+  mount(store, root, { handlers: { save: async () => { throw new Error('down'); } } });
+  document.getElementById('quiet').click();
+  await new Promise(r => setTimeout(r, 10));
+  console.error = error;
+  assert('handler: rejection is logged by default', logged.length === 1 && logged[0][1].message === 'down');
+  assert('handler: no unhandled rejections', unhandled.length === 0);
+  process.off('unhandledRejection', onUnhandled);
+}
+
+// -- 3. Keyed arrays --------------------------------------------------
+
+console.log('\n3. keyed arrays move their nodes');
+{
+  const root = page(`<ul id="list" each="rows" key="id"><template>
+    <li><input bind-value="{_path}.text"><span bind-text="{_path}.text"></span></li></template></ul>`);
+  const store = createEventState({ rows: [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }, { id: 'c', text: 'C' }] });
+  mount(store, root);
+  const list = document.getElementById('list');
+  const items = () => Array.from(list.querySelectorAll('li'));
+  const [a, b, c] = items();
+
+  store.set('rows', store.get('rows').slice().reverse());
+  const reversed = items();
+  assert('reorder: the same nodes, reversed', reversed[0] === c && reversed[1] === b && reversed[2] === a);
+  assert('reorder: bindings follow the new paths', c.querySelector('input').getAttribute('bind-value') === 'rows.0.text');
+
+  b.querySelector('input').focus();
+  store.set('rows', store.get('rows').slice(1));
+  const rest = items();
+  assert('delete first: remaining nodes are kept', rest.length === 2 && rest[0] === b && rest[1] === a);
+  assert('delete first: focus survives', document.activeElement === b.querySelector('input'));
+
+  b.querySelector('input').focus();
+  store.set('rows', [store.get('rows')[1], store.get('rows')[0]]);
+  assert('reorder: a focused input keeps focus', document.activeElement === b.querySelector('input'));
+  store.set('rows.1.text', 'B2');
+  assert('reorder: edits reach the moved item', b.querySelector('span').textContent === 'B2' && b.querySelector('input').value === 'B2');
+}
+
+{
+  const root = page(`<ul id="list" each="rows" key="id"><template>
+    <li><input bind-value.debounce(300)="{_path}.text"></li></template></ul>`);
+  const store = createEventState({ rows: [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }] });
+  mount(store, root);
+  const [a, b] = Array.from(document.querySelectorAll('#list li'));
+  let threw = null;
+  try {
+    store.set('rows', store.get('rows').slice().reverse());
+  } catch (err) {
+    threw = err;
+  }
+  const items = Array.from(document.querySelectorAll('#list li'));
+  assert('reorder: modifier attributes survive re-pointing', threw === null && items[0] === b && items[1] === a &&
+    b.querySelector('input').getAttribute('bind-value.debounce(300)') === 'rows.0.text');
+}
+
+// -- 4. Nested collections -------------------------------------------
+
+console.log('\n4. nested collections');
+{
+  const root = page(`<div id="projects" each="projects"><template>
+    <section><h2 bind-text="{_path}.name"></h2>
+      <ul each="{_path}.tasks"><template><li bind-text="{_path}.title"></li></template></ul>
+    </section></template></div>`);
+  const store = createEventState({
+    projects: {
+      p1: { name: 'One', tasks: { a: { title: 'A' } } },
+      p2: { name: 'Two', tasks: { b: { title: 'B' }, c: { title: 'C' } } }
+    }
+  });
+  const debug = createDevtools();
+  mount(store, root, { debug });
+  const titles = key => Array.from(document.querySelectorAll(`#projects [data-key="${key}"] li`), li => li.textContent).join();
+  assert('nested: inner items render from the outer item', titles('p1') === 'A' && titles('p2') === 'B,C');
+  assert('nested: {_path} resolves against the outer item',
+    document.querySelector('[data-key="p2"] [data-key="c"]').getAttribute('bind-text') === 'projects.p2.tasks.c.title');
+
+  const before = debug.stats().subscriptions;
+  store.set('projects.p2.tasks.d', { title: 'D' });
+  assert('nested: a new inner item appears', titles('p2') === 'B,C,D');
+  const withP2 = debug.stats().subscriptions;
+  store.set('projects', { p1: store.get('projects.p1') });
+  assert('nested: deleting the outer item removes its inner items', !document.querySelector('[data-key="p2"]') && titles('p1') === 'A');
+  // p2 held its name, its tasks collection (exact + wildcard) and three titles
+  assert('nested: deleting the outer item releases its subscriptions', withP2 > before && debug.stats().subscriptions === withP2 - 6);
+}
+
+// -- 5. Routing -------------------------------------------------------
+
+console.log('\n5. routing through set');
+{
+  window.location.hash = '';
+  const root = page(`<button id="go" set="route.path:'users'">Users</button>
+    <main bind-route="route.name"><template route="users"><h1>Users</h1></template><template else><h1>Home</h1></template></main>`);
+  const store = createEventState({});
+  const router = createRouter(store, { routes: { users: 'users', user: 'users/:id' }, window });
+  const cleanup = mount(store, root, { router });
+  document.getElementById('go').click();
+  assert('set route.path: stores the path unquoted', store.get('route.path') === 'users');
+  assert('set route.path: resolves the route', store.get('route.name') === 'users');
+  assert('set route.path: updates the URL', window.location.hash === '#/users');
+  assert('set route.path: shows the route branch', document.querySelector('main h1').textContent === 'Users');
+  cleanup();
+  router.stop();
+}
+
+// -- 6. Registries -----------------------------------------------------
+
+console.log('\n6. registries hold own names only');
+{
+  const root = page(`<p id="p" bind-text="a | valueOf"></p><div constructor="x" tostring="y"></div>
+    <button id="act" set="x:toString()"></button><button id="hnd" set="@valueOf"></button>`);
+  const store = createEventState({ a: 'A', x: 0 });
+  const reports = [];
+  let mounted = true;
+  try {
+    mount(store, root, { handlers: {}, onError: e => reports.push(e) });
+  } catch (_) {
+    mounted = false;
+  }
+  assert('registries: an inherited attribute or pipe name does not break mount', mounted && document.getElementById('p').textContent === 'A');
+  document.getElementById('act').click();
+  assert('registries: an inherited action name is reported as unknown', reports.some(r => r.code === 'unknown-action') &&
+    store.get('x') === 'toString()');
+  // A listener that throws surfaces as a window error event, not from click()
+  const errors = [];
+  const onWindowError = e => errors.push(e.error);
+  window.addEventListener('error', onWindowError);
+  document.getElementById('hnd').click();
+  window.removeEventListener('error', onWindowError);
+  assert('registries: an inherited handler name is not called', errors.length === 0);
+}
+
+// -- 7. Devtools -------------------------------------------------------
+
+console.log('\n7. devtools counts store subscriptions only');
+{
+  const root = page(`<p bind-text="a"></p><p bind-text="a | uppercase"></p><input bind-value="b">`);
+  const store = createEventState({ a: 'x', b: '' });
+  const debug = createDevtools();
+  const cleanup = mount(store, root, { debug });
+  // bind-text: 1, expression: exact + wildcard, bind-value: 1; the input
+  // listener and the debug release hooks are not subscriptions
+  assert('devtools: subscriptions match store.subscribe calls', debug.stats().subscriptions === 4);
+  cleanup();
+  assert('devtools: cleanup detaches the mount', debug.stats().subscriptions === 0);
+}
+
+// -- 8. Virtual lists -------------------------------------------------
+
+console.log('\n8. virtual rows are recycled');
+{
+  const root = page(`<ul id="log" each="rows" key="id" virtual item-height="20" overscan="3"><template>
+    <li on-keydown.ctrl+s="hits:increment" bind-style-width.%="{_path}.w"><span bind-text="{_path}.text"></span></li></template></ul>`);
+  const rows = Array.from({ length: 10 }, (_, i) => ({ id: `r${i}`, text: `row ${i}`, w: i * 10 }));
+  const store = createEventState({ rows, hits: 0 });
+  mount(store, root);
+  const list = document.getElementById('log');
+  const shown = () => Array.from(list.querySelectorAll('li:not([data-spacer])'));
+  const before = shown();
+  let threw = null;
+  try {
+    store.set('rows', rows.slice(5));
+  } catch (err) {
+    threw = err;
+  }
+  const after = shown();
+  assert('virtual: reusing a row with modifier attributes does not throw', threw === null);
+  assert('virtual: pooled rows are reused', after.length === before.length && after.every(li => before.includes(li)));
+  assert('virtual: recycled rows show their new item', after.map(li => li.textContent).join() === 'row 5,row 6,row 7' &&
+    after[0].style.width === '50%');
+  after[0].dispatchEvent(new KeyboardEvent('keydown', { key: 's', ctrlKey: true, bubbles: true }));
+  assert('virtual: modifier listeners work on a recycled row', store.get('hits') === 1);
+}
+
+// -- 9. Live mode ------------------------------------------------------
+
+console.log('\n9. live mode (observe)');
+{
+  const root = page('<div id="a"></div><div id="b"></div>');
+  const store = createEventState({ n: 1, list: ['x', 'y'] });
+  const debug = createDevtools();
+  mount(store, root, { observe: true, debug });
+  const settle = () => new Promise(r => setTimeout(r, 0));
+  const subscriptions = () => debug.stats().subscriptions;
+
+  const p = document.createElement('p');
+  p.setAttribute('bind-text', 'n');
+  document.getElementById('a').appendChild(p);
+  await settle();
+  store.set('n', 2);
+  assert('observe: a node added after mount is bound', p.textContent === '2');
+
+  document.getElementById('b').appendChild(p);
+  await settle();
+  store.set('n', 3);
+  assert('observe: a node moved within the root stays live', p.textContent === '3' && subscriptions() === 1);
+
+  p.remove();
+  await settle();
+  store.set('n', 4);
+  assert('observe: a removed node releases its subscription', subscriptions() === 0 && p.textContent === '3');
+
+  document.getElementById('a').insertAdjacentHTML('beforeend', '<ul id="live" each="list"><template><li bind-text="{_path}"></li></template></ul>');
+  await settle();
+  assert('observe: an inserted each container renders its items',
+    Array.from(document.querySelectorAll('#live li'), li => li.textContent).join() === 'x,y');
+}
+
+// -- 10. Formatter errors ---------------------------------------------
+
+console.log('\n10. formatter errors');
+{
+  const root = page('<p id="price" bind-text="n | currency:EURO"></p><p id="shout" bind-text="n | shout"></p>');
+  const store = createEventState({ n: 5 });
+  const formatters = { shout: () => { throw new Error('nope'); } };
+  const reports = [];
+  let threw = null;
+  try {
+    mount(store, root, { formatters, onError: e => reports.push(e) });
+  } catch (err) {
+    threw = err;
+  }
+  assert('formatter: a throwing pipe does not abort mount', threw === null);
+  assert('formatter: the value is left unformatted', document.getElementById('price').textContent === '5' &&
+    document.getElementById('shout').textContent === '5');
+  assert('formatter: the failure goes to onError', reports.length === 2 && reports.every(r => r.code === 'formatter-error') &&
+    reports[0].el === document.getElementById('price') && reports[0].attr === 'bind-text');
+
+  const logged = [];
+  const error = console.error;
+  console.error = (...args) => logged.push(args);
+  mount(store, root, { formatters });
+  store.set('n', 6);
+  console.error = error;
+  assert('formatter: without onError the failure is logged', logged.length === 4 && document.getElementById('shout').textContent === '6');
+}
+
+// -- 11. Validation ----------------------------------------------------
+
+console.log('\n11. validation');
+{
+  const root = page(`<input id="code" bind-value="form.code" validate="pattern:(">
+    <input id="name" bind-value="form.name" validate="constructor|toString">`);
+  const store = createEventState({ form: { code: '', name: '' } });
+  const reports = [];
+  mount(store, root, { onError: e => reports.push(e) });
+  const type = (id, value) => {
+    const input = document.getElementById(id);
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  };
+  const errors = [];
+  const onWindowError = e => errors.push(e.error);
+  window.addEventListener('error', onWindowError);
+  type('code', 'abc');
+  window.removeEventListener('error', onWindowError);
+  assert('validate: a bad pattern does not throw from the input listener', errors.length === 0 && store.get('form.code') === 'abc');
+  assert('validate: a bad pattern is reported', reports.some(r => r.code === 'rule-error' &&
+    r.el === document.getElementById('code') && r.attr === 'validate'));
+  type('name', 'Ada');
+  assert('validate: Object.prototype names are not rules', (store.get('errors.form.name') ?? null) === null);
+}
+
+{
+  const root = page(`<form id="add" set-submit="todos:push(draft)">
+      <input id="text" bind-value="draft.text" validate="required|minlength:3">
+      <input id="owner" bind-value="meta.owner" validate="required">
+    </form><button id="push" set="todos:push(draft)">Add</button>`);
+  const store = createEventState({ draft: { text: '' }, meta: { owner: '' }, todos: {} });
+  mount(store, root, { keygen: () => `t${Object.keys(store.get('todos')).length + 1}` });
+  const submit = () => document.getElementById('add').dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+  const count = () => Object.keys(store.get('todos')).length;
+
+  submit();
+  assert('submit: an invalid form pushes nothing', count() === 0);
+  assert('submit: an invalid form writes the error', store.get('errors.draft.text') === 'Required');
+
+  store.set('draft.text', 'ab');
+  document.getElementById('push').click();
+  assert('push: an invalid draft is refused outside a form too', count() === 0 &&
+    store.get('errors.draft.text') === 'At least 3 characters');
+
+  // meta.owner is outside the pushed draft: only the form guard sees it
+  store.set('draft.text', 'Buy milk');
+  submit();
+  assert('submit: any invalid control in the form blocks the push', count() === 0 && store.get('errors.meta.owner') === 'Required');
+
+  store.set('meta.owner', 'Ada');
+  submit();
+  assert('submit: a valid form pushes', count() === 1 && store.get('todos.t1.text') === 'Buy milk');
+  assert('submit: a valid form clears the error', store.get('errors.draft.text') === null);
+}
+
+// -- 12. Push keys -----------------------------------------------------
+
+console.log('\n12. push keys');
+{
+  const root = page(`<button id="add" set="todos:push(draft)"></button>
+    <button id="upsert" set="users:push(person, key=id, reset=defaults.person)"></button>`);
+  const store = createEventState({
+    draft: { text: 'a' }, todos: {},
+    person: { id: 'u1', name: 'Ada' }, users: {}, defaults: { person: { id: '', name: 'New' } }
+  });
+  mount(store, root);
+  const add = document.getElementById('add');
+  add.click();
+  add.click();
+  const keys = Object.keys(store.get('todos'));
+  assert('push: two pushes in one tick get distinct keys', keys.length === 2 && keys[0] !== keys[1]);
+  store.set('todos', { [keys[0]]: store.get('todos')[keys[0]] });
+  add.click();
+  const next = Object.keys(store.get('todos'));
+  assert('push: a deleted key is not issued again', next.length === 2 && !next.slice(1).includes(keys[1]) && next[1] !== keys[0]);
+
+  document.getElementById('upsert').click();
+  assert('push: key=id takes the key from the item', store.get('users.u1.name') === 'Ada');
+  assert('push: reset=defaults.x restores the defaults', store.get('person.name') === 'New' && store.get('person.id') === '');
+}
+
+// -- 13. Scheduler -----------------------------------------------------
+
+console.log('\n13. scheduled updates');
+for (const schedule of ['microtask', 'frame']) {
+  const root = page('<p id="n" bind-text="n"></p><p id="gone" bind-text="n"></p><p id="kept" bind-text="n"></p>');
+  const store = createEventState({ n: 0 });
+  const debug = createDevtools();
+  const cleanup = mount(store, root, { schedule, observe: true, debug });
+  const n = document.getElementById('n');
+  const start = debug.inspect(n).updates;
+  for (let i = 1; i <= 10; i++) store.set('n', i);
+  assert(`${schedule}: nothing is written before the flush`, n.textContent === '0' && debug.inspect(n).updates === start);
+  flush();
+  assert(`${schedule}: ten sets make one write of the last value`, n.textContent === '10' && debug.inspect(n).updates === start + 1);
+
+  // A node removed while its update waits for the frame: live mode
+  // releases it first, and the queued job goes with it
+  if (schedule === 'frame') {
+    const gone = document.getElementById('gone');
+    store.set('n', 11);
+    gone.remove();
+    await new Promise(r => setTimeout(r, 0));
+    flush();
+    assert('frame: a queued job for a removed node is dropped', gone.textContent === '10' && n.textContent === '11');
+  } else {
+    store.set('n', 11);
+    flush();
+  }
+
+  const kept = document.getElementById('kept');
+  store.set('n', 12);
+  cleanup();
+  flush();
+  assert(`${schedule}: cleanup drops queued jobs`, kept.textContent === '11');
+}
+
+// -- 14. Conditionals --------------------------------------------------
+
+console.log('\n14. bind-if');
+{
+  const root = page(`<div id="cond" bind-if="!flag">
+      <template><p id="then" bind-text="a"></p><p bind-text="a | uppercase"></p></template>
+      <template else><p id="else" bind-text="b"></p></template>
+    </div>`);
+  const store = createEventState({ flag: false, a: 'on', b: 'off' });
+  const debug = createDevtools();
+  mount(store, root, { debug });
+  const subscriptions = () => debug.stats().subscriptions;
+  // the condition itself, plus 1 + 2 for the two bindings in the branch
+  assert('bind-if: a false flag shows the negated branch', !!document.getElementById('then') && !document.getElementById('else') &&
+    subscriptions() === 4);
+
+  store.set('flag', true);
+  assert('bind-if: the branches swap', !document.getElementById('then') && document.getElementById('else').textContent === 'off');
+  assert('bind-if: the hidden branch releases its subscriptions', subscriptions() === 2);
+
+  store.set('flag', false);
+  store.set('a', 'again');
+  assert('bind-if: swapping back binds afresh', document.getElementById('then').textContent === 'again' && subscriptions() === 4);
+}
+
+// -- Results ---------------------------------------------------------
+
+console.log(`\n✓ ${passed} DOM assertions passed${failed ? `, ✗ ${failed} failed` : ''}\n`);
+process.exit(failed > 0 ? 1 : 0);
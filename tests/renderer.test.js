@@ -9,8 +9,35 @@ import { createEventTest, runTests } from '@uistate/event-test';
 import {
   parseSetExpr,
   evalExpr,
-  parsePush
+  resolveOperand,
+  parseCall,
+  parseHandler,
+  parseOn,
+  matchKeys,
+  parseBinding,
+  evalBinding,
+  toClassList,
+  styleValue,
+  readControl,
+  writeControl,
+  parseRules,
+  validateValue,
+  parsePush,
+  checkPush,
+  parseCondition,
+  collectionEntries,
+  planMoves,
+  affectsCollection,
+  visibleRange,
+  transitionTimeout,
+  scopePath,
+  fillPlaceholders
 } from '../renderer.js';
+import { renderToString } from '../ssr.js';
+import { createHistory } from '../history.js';
+import { matchRoute, buildPath, createRouter } from '../router.js';
+import { createPersist, memoryStorage } from '../persist.js';
+import { createDevtools } from '../devtools.js';
 
 const results = runTests({
 
@@ -110,11 +137,469 @@ const results = runTests({
     if (r !== 'hello') throw new Error(`Expected 'hello', got '${r}'`);
   },
 
+  'evalExpr: quoted string is stored without quotes': () => {
+    const r = evalExpr("'users.u1'", '');
+    if (r !== 'users.u1') throw new Error(`Expected 'users.u1', got '${r}'`);
+    if (evalExpr("'007'", 0) !== '007') throw new Error("Expected '007' to stay a string");
+  },
+
   'evalExpr: null expr returns current': () => {
     const r = evalExpr(null, 7);
     if (r !== 7) throw new Error(`Expected 7, got ${r}`);
   },
 
+  'evalExpr: registered action receives current and args': () => {
+    const actions = { clamp: (cur, lo, hi) => Math.min(hi, Math.max(lo, cur)) };
+    const r = evalExpr('clamp(0, 10)', -3, { actions });
+    if (r !== 0) throw new Error(`Expected 0, got ${r}`);
+  },
+
+  'evalExpr: Object.prototype names are not actions': () => {
+    const r = evalExpr('toString()', 'x', { actions: {} });
+    if (r !== 'toString()') throw new Error(`Expected 'toString()', got '${r}'`);
+  },
+
+  'evalExpr: =path copies another path': () => {
+    const r = evalExpr('=draft.text', '', { get: p => (p === 'draft.text' ? 'Hi' : undefined) });
+    if (r !== 'Hi') throw new Error(`Expected 'Hi', got '${r}'`);
+  },
+
+  'evalExpr: $event.target.value': () => {
+    const r = evalExpr('$event.target.value', '', { event: { target: { value: 'abc' } } });
+    if (r !== 'abc') throw new Error(`Expected 'abc', got '${r}'`);
+  },
+
+  'resolveOperand: literal vs path': () => {
+    const get = p => (p === 'a.b' ? 1 : undefined);
+    if (resolveOperand('a.b', { get }) !== 1) throw new Error('Expected path a.b to resolve to 1');
+    if (resolveOperand('7', { get }) !== 7) throw new Error('Expected literal 7');
+  },
+
+  // parseCall
+
+  'parseCall: name and literal args': () => {
+    const r = parseCall("pad(3, '0')");
+    if (!r || r.name !== 'pad') throw new Error(`Expected name 'pad', got ${JSON.stringify(r)}`);
+    if (r.args[0] !== 3 || r.args[1] !== '0') throw new Error(`Expected [3, '0'], got ${JSON.stringify(r.args)}`);
+  },
+
+  'parseCall: non-call returns null': () => {
+    const r = parseCall('toggle');
+    if (r !== null) throw new Error(`Expected null, got ${JSON.stringify(r)}`);
+  },
+
+  // parseHandler
+
+  'parseHandler: @name(args)': () => {
+    const r = parseHandler('@saveTodo(todos.t1)');
+    if (!r || r.name !== 'saveTodo' || r.args[0] !== 'todos.t1') {
+      throw new Error(`Expected saveTodo('todos.t1'), got ${JSON.stringify(r)}`);
+    }
+  },
+
+  'parseHandler: non-handler returns null': () => {
+    const r = parseHandler('todos.t1:delete');
+    if (r !== null) throw new Error(`Expected null, got ${JSON.stringify(r)}`);
+  },
+
+  'integration: handler receives store and resolved args': () => {
+    const t = createEventTest({ todos: { t1: { text: 'Buy milk', saved: false } } });
+    const handlers = {
+      saveTodo({ store }, path) { store.set(`${path}.saved`, true); }
+    };
+    const call = parseHandler('@saveTodo(todos.t1)');
+    handlers[call.name]({ store: t.store, event: null, el: null }, ...call.args);
+    t.assertPath('todos.t1.saved', true);
+  },
+
+  // parseOn / matchKeys
+
+  'parseOn: event with modifiers': () => {
+    const r = parseOn('on-input.debounce(300).stop');
+    if (!r || r.event !== 'input') throw new Error(`Expected event 'input', got ${JSON.stringify(r)}`);
+    if (r.debounce !== 300 || !r.stop) throw new Error(`Expected debounce 300 + stop, got ${JSON.stringify(r)}`);
+  },
+
+  'parseOn: set-change shorthand': () => {
+    const r = parseOn('set-change');
+    if (!r || r.event !== 'change') throw new Error(`Expected event 'change', got ${JSON.stringify(r)}`);
+  },
+
+  'matchKeys: ctrl+s combo': () => {
+    const { keys } = parseOn('on-keydown.ctrl+s');
+    const ev = { key: 's', ctrlKey: true, shiftKey: false, altKey: false, metaKey: false };
+    if (!matchKeys(keys, ev)) throw new Error('Expected ctrl+s to match');
+    if (matchKeys(keys, { ...ev, ctrlKey: false })) throw new Error('Expected plain s not to match');
+  },
+
+  // parseBinding / evalBinding
+
+  'parseBinding: multi-path expression lists every dependency': () => {
+    const r = parseBinding("user.first + ' ' + user.last | uppercase");
+    if (r.deps.join(',') !== 'user.first,user.last') throw new Error(`deps: ${JSON.stringify(r.deps)}`);
+    if (r.pipes[0].name !== 'uppercase') throw new Error(`pipes: ${JSON.stringify(r.pipes)}`);
+  },
+
+  'evalBinding: pipe chain with args': () => {
+    const r = evalBinding(parseBinding('todos | count | pluralize:todo'), () => ({ a: {}, b: {}, c: {} }));
+    if (r !== '3 todos') throw new Error(`Expected '3 todos', got '${r}'`);
+  },
+
+  'evalBinding: a throwing pipe is skipped when onPipeError is given': () => {
+    const failed = [];
+    const fmts = { boom: () => { throw new Error('boom'); } };
+    const r = evalBinding(parseBinding('a | boom | uppercase'), () => 'x', fmts, name => failed.push(name));
+    if (r !== 'X' || failed.join() !== 'boom') throw new Error(`Expected 'X' and one failure, got '${r}' / ${failed}`);
+  },
+
+  'evalBinding: Object.prototype names are not formatters': () => {
+    const r = evalBinding(parseBinding('a | valueOf | toString'), () => 'x', {});
+    if (r !== 'x') throw new Error(`Expected 'x', got '${r}'`);
+  },
+
+  'integration: derived text follows both dependencies': () => {
+    const t = createEventTest({ user: { first: 'Ada', last: 'Byron' } });
+    const b = parseBinding("user.first + ' ' + user.last");
+    const text = () => evalBinding(b, p => t.store.get(p));
+    let fires = 0;
+    b.deps.forEach(dep => t.store.subscribe(dep, () => { fires++; }));
+
+    t.trigger('user.last', 'Lovelace');
+    if (text() !== 'Ada Lovelace') throw new Error(`Expected 'Ada Lovelace', got '${text()}'`);
+    t.trigger('user.first', 'Augusta');
+    if (text() !== 'Augusta Lovelace') throw new Error(`Expected 'Augusta Lovelace', got '${text()}'`);
+    if (fires !== 2) throw new Error(`Expected 2 fires, got ${fires}`);
+  },
+
+  // toClassList / styleValue
+
+  'toClassList: object of flags': () => {
+    const r = toClassList({ active: true, disabled: false, 'is-open': 1 }).join(' ');
+    if (r !== 'active is-open') throw new Error(`Expected 'active is-open', got '${r}'`);
+  },
+
+  'styleValue: unit handling': () => {
+    if (styleValue('width', 50) !== '50px') throw new Error('Expected 50px');
+    if (styleValue('width', 50, '%') !== '50%') throw new Error('Expected 50%');
+    if (styleValue('z-index', 3) !== '3') throw new Error('Expected unitless z-index');
+  },
+
+  // readControl / writeControl
+
+  'readControl: number input stores a number': () => {
+    const r = readControl({ tagName: 'INPUT', type: 'number', value: '3.5' });
+    if (r !== 3.5) throw new Error(`Expected 3.5, got ${JSON.stringify(r)}`);
+  },
+
+  'writeControl: radio reflects stored value': () => {
+    const a = { tagName: 'INPUT', type: 'radio', value: 'a', checked: true };
+    const b = { tagName: 'INPUT', type: 'radio', value: 'b', checked: false };
+    writeControl(a, 'b');
+    writeControl(b, 'b');
+    if (a.checked || !b.checked) throw new Error('Expected only radio b to be checked');
+  },
+
+  'integration: checkbox group bound to one array path': () => {
+    const t = createEventTest({ prefs: { tags: ['news'] } });
+    const box = value => ({ tagName: 'INPUT', type: 'checkbox', value, checked: false });
+    const sports = box('sports');
+    sports.checked = true;
+    t.trigger('prefs.tags', readControl(sports, t.store.get('prefs.tags')));
+    t.assertPath('prefs.tags', ['news', 'sports']);
+
+    const news = box('news');
+    writeControl(news, t.store.get('prefs.tags'));
+    if (!news.checked) throw new Error('Expected news checkbox to be checked');
+    news.checked = false;
+    t.trigger('prefs.tags', readControl(news, t.store.get('prefs.tags')));
+    t.assertPath('prefs.tags', ['sports']);
+  },
+
+  // parseRules / validateValue
+
+  'parseRules: pattern takes the rest of the string': () => {
+    const r = parseRules('required|pattern:^[a-z]+(|-x)$');
+    if (r.length !== 2 || r[1].arg !== '^[a-z]+(|-x)$') throw new Error(`Got ${JSON.stringify(r)}`);
+  },
+
+  'validateValue: first failing rule message': () => {
+    const r = validateValue('ab', 'required|minlength:3|maxlength:10');
+    if (r !== 'At least 3 characters') throw new Error(`Expected minlength message, got '${r}'`);
+  },
+
+  // renderToString
+
+  'renderToString: bind-text and attributes from the store': () => {
+    const t = createEventTest({ user: { name: 'Ada', url: '/ada', id: 7 } });
+    const html = renderToString(t.store,
+      '<a bind-attr-href="user.url" bind-data-id="user.id"><span bind-text="user.name">…</span></a>');
+    const want = '<a bind-attr-href="user.url" bind-data-id="user.id" href="/ada" data-id="7"><span bind-text="user.name">Ada</span></a>';
+    if (html !== want) throw new Error(`Got ${html}`);
+  },
+
+  'renderToString: escapes bound text and attribute values': () => {
+    const t = createEventTest({ x: '<b>"hi"</b> & bye' });
+    const html = renderToString(t.store, '<p bind-text="x" bind-attr-title="x"></p>');
+    if (html.includes('<b>')) throw new Error(`Unescaped markup: ${html}`);
+    if (!html.includes('title="&lt;b&gt;&quot;hi&quot;&lt;/b&gt; &amp; bye"')) throw new Error(`Got ${html}`);
+  },
+
+  'renderToString: pipes and custom formatters': () => {
+    const t = createEventTest({ n: 3, name: 'ada' });
+    const html = renderToString(t.store,
+      '<i bind-text="n | pluralize:item"></i><b bind-text="name | shout"></b>',
+      { formatters: { shout: v => `${String(v).toUpperCase()}!` } });
+    if (!html.includes('>3 items</i>') || !html.includes('>ADA!</b>')) throw new Error(`Got ${html}`);
+  },
+
+  'renderToString: each renders keyed items after the template': () => {
+    const t = createEventTest({ todos: { a: { text: 'One' }, b: { text: '<Two>' } } });
+    const html = renderToString(t.store,
+      '<ul each="todos"><template><li bind-text="{_path}.text" data-k="{_key}"></li></template></ul>');
+    const want = '<ul each="todos"><template><li bind-text="{_path}.text" data-k="{_key}"></li></template>' +
+      '<li bind-text="todos.a.text" data-k="a" data-key="a">One</li>' +
+      '<li bind-text="todos.b.text" data-k="b" data-key="b">&lt;Two&gt;</li></ul>';
+    if (html !== want) throw new Error(`Got ${html}`);
+  },
+
+  'renderToString: each honours sort-by and filter': () => {
+    const t = createEventTest({ items: [{ n: 2, on: true }, { n: 1, on: true }, { n: 3, on: false }] });
+    const html = renderToString(t.store,
+      '<ol each="items" sort-by="n" filter="on"><template><li bind-text="{_path}.n"></li></template></ol>');
+    const texts = [...html.matchAll(/data-key="\d+">(\d)</g)].map(m => m[1]).join(',');
+    if (texts !== '1,2') throw new Error(`Expected 1,2, got ${texts} in ${html}`);
+  },
+
+  'renderToString: bind-if picks the branch, bind-show sets hidden': () => {
+    const t = createEventTest({ user: null, busy: false });
+    const html = renderToString(t.store,
+      '<div bind-if="user"><template><p>Hi</p></template><template else><p>Sign in</p></template></div>' +
+      '<span bind-show="busy">…</span>');
+    if (!html.includes('</template><p>Sign in</p></div>')) throw new Error(`Got ${html}`);
+    if (!html.includes('<span bind-show="busy" hidden>')) throw new Error(`Got ${html}`);
+  },
+
+  'renderToString: bind-route renders the matching route template': () => {
+    const t = createEventTest({ route: { name: 'user' } });
+    const html = renderToString(t.store,
+      '<main bind-route="route.name"><template route="home"><p>Home</p></template>' +
+      '<template route="user"><p>User</p></template><template else><p>404</p></template></main>');
+    if (!html.endsWith('</template><p>User</p></main>')) throw new Error(`Got ${html}`);
+  },
+
+  'renderToString: form controls carry their bound value': () => {
+    const t = createEventTest({ f: { name: 'Ada', ok: true, size: 'm', note: 'a<b' } });
+    const html = renderToString(t.store,
+      '<input bind-value="f.name"><input type="checkbox" bind-value="f.ok">' +
+      '<select bind-value="f.size"><option>s</option><option value="m">Medium</option></select>' +
+      '<textarea bind-value="f.note"></textarea>');
+    for (const part of ['value="Ada"', 'bind-value="f.ok" checked', '<option value="m" selected>', '>a&lt;b</textarea>']) {
+      if (!html.includes(part)) throw new Error(`Missing ${part} in ${html}`);
+    }
+  },
+
+  'renderToString: classes and styles merge with static ones': () => {
+    const t = createEventTest({ done: true, w: 40 });
+    const html = renderToString(t.store,
+      '<li class="item" bind-class-done="done" bind-style-width="w" style="color: red"></li>');
+    if (!html.includes('class="item done"') || !html.includes('style="color: red; width: 40px;"')) {
+      throw new Error(`Got ${html}`);
+    }
+  },
+
+  'renderToString: leaves comments, doctype and raw text alone': () => {
+    const t = createEventTest({});
+    const src = '<!DOCTYPE html><!-- note --><script>if (a < b) x();</script><br><p>a &amp; b</p>';
+    const html = renderToString(t.store, src);
+    if (html !== src) throw new Error(`Got ${html}`);
+  },
+
+  'renderToString: hostile keys are escaped, not parsed': () => {
+    const key = `"><img src=x onerror=alert(1)>$&`;
+    const t = createEventTest({ items: { [key]: { text: '<script>x()</script>' } } });
+    const html = renderToString(t.store,
+      '<ul each="items"><template><li title="{_key}">{_key}: <b bind-text="{_path}.text"></b></li></template></ul>');
+    if (/<img|<script/.test(html)) throw new Error(`Markup injected: ${html}`);
+    if (!html.includes('title="&quot;&gt;&lt;img src=x onerror=alert(1)&gt;$&amp;"')) throw new Error(`Got ${html}`);
+  },
+
+  'fillPlaceholders: hostile key lands as inert attribute and text values': () => {
+    const key = `'"><svg onload=alert(1)>{_path}`;
+    const node = {
+      nodeType: 1, tagName: 'LI',
+      attributes: [{ name: 'data-id', value: '{_key}' }],
+      childNodes: [{ nodeType: 3, nodeValue: '{_key}', childNodes: [] }]
+    };
+    fillPlaceholders(node, { _key: key, _path: 'items.x' });
+    if (node.attributes[0].value !== key) throw new Error(`Attribute: ${node.attributes[0].value}`);
+    if (node.childNodes[0].nodeValue !== key) throw new Error(`Text: ${node.childNodes[0].nodeValue}`);
+  },
+
+  // createHistory
+
+  'createHistory: undo and redo a recorded write': () => {
+    const t = createEventTest({ count: 1 });
+    const h = createHistory(t.store);
+    h.record(() => t.store.set('count', 2));
+    t.assertPath('history.canUndo', true);
+    t.assertPath('history.undoDisabled', null);
+    h.undo();
+    t.assertPath('count', 1);
+    t.assertPath('history.canRedo', true);
+    h.redo();
+    t.assertPath('count', 2);
+  },
+
+  'createHistory: a batch is one step, and undo removes added keys': () => {
+    const t = createEventTest({ draft: { text: 'milk' }, todos: {} });
+    const h = createHistory(t.store);
+    h.record(() => t.store.batch(() => {
+      t.store.set('todos.t_1', { text: 'milk' });
+      t.store.set('draft.text', '');
+    }));
+    h.undo();
+    t.assertPath('draft.text', 'milk');
+    if (Object.keys(t.store.get('todos')).length !== 0) throw new Error('Expected todos to be empty again');
+    t.assertPath('history.canUndo', false);
+  },
+
+  'createHistory: keystrokes with the same key coalesce': () => {
+    const t = createEventTest({ q: '' });
+    const h = createHistory(t.store);
+    const input = {};
+    for (const v of ['a', 'ab', 'abc']) h.record(() => t.store.set('q', v), input);
+    h.record(() => t.store.set('q', 'other'));
+    h.undo();
+    t.assertPath('q', 'abc');
+    h.undo();
+    t.assertPath('q', '');
+    t.assertPath('history.undoDisabled', true);
+  },
+
+  'createHistory: ignored paths and new writes after undo': () => {
+    const t = createEventTest({ a: 0, errors: {} });
+    const h = createHistory(t.store, { ignore: ['errors'] });
+    h.record(() => { t.store.set('a', 1); t.store.set('errors.a', 'Bad'); });
+    h.undo();
+    t.assertPath('errors.a', 'Bad');
+    h.record(() => t.store.set('a', 5));
+    t.assertPath('history.canRedo', false);
+  },
+
+  // matchRoute / createRouter
+
+  'matchRoute: params are captured and decoded': () => {
+    const params = matchRoute('users/:id/posts/:post', '#/users/u%201/posts/7');
+    if (params.id !== 'u 1' || params.post !== '7') throw new Error(`Got ${JSON.stringify(params)}`);
+    if (matchRoute('users/:id', 'users/u1/extra') !== null) throw new Error('Expected no match');
+  },
+
+  'buildPath: round-trips through matchRoute': () => {
+    const p = buildPath('users/:id', { id: 'a/b' });
+    if (matchRoute('users/:id', p).id !== 'a/b') throw new Error(`Got ${p}`);
+  },
+
+  'createRouter: syncs the hash into route paths and back/forward': () => {
+    const t = createEventTest({});
+    const handlers = {};
+    const win = {
+      location: { hash: '#/users/u1' },
+      history: { replaceState: (s, _, url) => { win.location.hash = url; } },
+      addEventListener: (type, fn) => { handlers[type] = fn; },
+      removeEventListener: type => { delete handlers[type]; }
+    };
+    const router = createRouter(t.store, { routes: { users: 'users', user: 'users/:id' }, window: win });
+    t.assertPath('route.name', 'user');
+    t.assertPath('route.params.id', 'u1');
+    router.navigate('users?sort=name');
+    if (win.location.hash !== '/users?sort=name') throw new Error(`Hash: ${win.location.hash}`);
+    t.assertPath('route.name', 'users');
+    t.assertPath('route.query.sort', 'name');
+    t.assertPath('route.params.id', null);
+    win.location.hash = '#/users/u2'; // back button
+    handlers.hashchange();
+    t.assertPath('route.params.id', 'u2');
+    t.store.set('route.path', 'users');
+    t.assertPath('route.name', 'users');
+    router.stop();
+    if (handlers.hashchange) throw new Error('Expected hashchange listener removed');
+  },
+
+  // createPersist
+
+  'createPersist: restores and migrates saved data on creation': () => {
+    const mem = memoryStorage();
+    mem.set('uistate:todos', JSON.stringify({ v: 1, data: { a: { title: 'Milk' } } }));
+    const t = createEventTest({ todos: {} });
+    createPersist(t.store, {
+      storage: mem, paths: ['todos'], version: 2,
+      migrations: { 2: todos => ({ a: { text: todos.a.title } }) }
+    });
+    t.assertPath('todos.a.text', 'Milk');
+    if (JSON.parse(mem.get('uistate:todos')).v !== 2) throw new Error('Expected migrated copy to be saved');
+  },
+
+  'createPersist: writes changes back and ignores corrupt records': () => {
+    const mem = memoryStorage();
+    mem.set('uistate:prefs', '{not json');
+    const t = createEventTest({ prefs: { dark: false } });
+    const p = createPersist(t.store, { storage: mem, paths: ['prefs'], debounce: 0 });
+    t.assertPath('prefs.dark', false);
+    t.store.set('prefs.dark', true);
+    if (JSON.parse(mem.get('uistate:prefs')).data.dark !== true) throw new Error(`Saved: ${mem.get('uistate:prefs')}`);
+    p.clear();
+    if (mem.get('uistate:prefs') !== null) throw new Error('Expected clear() to remove the record');
+  },
+
+  'createPersist: persisters on one backend stay in sync, like tabs': () => {
+    const mem = memoryStorage();
+    const a = createEventTest({ todos: {} });
+    const b = createEventTest({ todos: {} });
+    createPersist(a.store, { storage: mem, paths: ['todos'], debounce: 0 });
+    const pb = createPersist(b.store, { storage: mem, paths: ['todos'], debounce: 0 });
+    a.store.set('todos.t_1', { text: 'from a' });
+    b.assertPath('todos.t_1.text', 'from a');
+    pb.stop();
+    a.store.set('todos.t_2', { text: 'later' });
+    if (b.store.get('todos.t_2')) throw new Error('Expected stopped persister to stop syncing');
+  },
+
+  // createDevtools
+
+  'createDevtools: bindings are inspectable until released': () => {
+    const debug = createDevtools();
+    const node = {};
+    const release = debug.binding(node, 'bind-text', 'user.name');
+    debug.binding(node, 'bind-class', "user.role | lowercase", ['user.role']);
+    const info = debug.inspect(node);
+    if (info.bindings.length !== 2 || info.bindings[0].path !== 'user.name') throw new Error(`Got ${JSON.stringify(info)}`);
+    release();
+    if (debug.inspect(node).bindings.length !== 1) throw new Error('Expected one binding left');
+    if (debug.stats().bindings !== 1 || debug.stats().nodes !== 1) throw new Error(`Stats: ${JSON.stringify(debug.stats())}`);
+  },
+
+  'createDevtools: updates, actions and reconciles are counted per path': () => {
+    const debug = createDevtools({ limit: 2 });
+    const t = createEventTest({ count: 0 });
+    const node = {};
+    const root = { contains: n => n === node };
+    debug.attach(root, { store: t.store, subscriptions: () => 3 });
+    debug.binding(node, 'bind-text', 'count');
+    let ran = 0;
+    debug.update(node, 'bind-text', 'count', () => ran++);
+    debug.update(node, 'bind-text', 'count', () => ran++);
+    for (const after of [1, 2, 3]) debug.action({ el: node, raw: 'count:increment', path: 'count', before: after - 1, after });
+    debug.reconcile({ container: node, path: 'todos', added: ['a'], removed: [], moved: [] });
+    const stats = debug.stats();
+    if (ran !== 2 || stats.updates !== 2 || stats.subscriptions !== 3) throw new Error(`Stats: ${JSON.stringify(stats)}`);
+    if (stats.actions !== 3 || debug.actions.length !== 2) throw new Error('Expected 3 counted, 2 kept');
+    if (stats.paths[0].path !== 'count' || stats.paths[0].updates !== 2) throw new Error(`Paths: ${JSON.stringify(stats.paths)}`);
+    if (debug.inspect(node).reconciles[0].added[0] !== 'a') throw new Error('Expected reconcile on node');
+    if (debug.inspect(node).root !== root) throw new Error('Expected the attached root');
+    debug.reset();
+    if (debug.stats().updates !== 0 || debug.inspect(node).updates !== 0) throw new Error('Expected reset counts');
+  },
+
   // parsePush
 
   'parsePush: bare push → source null': () => {
@@ -137,11 +622,140 @@ const results = runTests({
     if (r !== null) throw new Error(`Expected null, got ${JSON.stringify(r)}`);
   },
 
+  'parsePush: key and reset options': () => {
+    const r = parsePush('push(form, key=id, reset=defaults.user)');
+    if (r.source !== 'form' || r.key !== 'id' || r.reset !== 'defaults.user') {
+      throw new Error(`Unexpected ${JSON.stringify(r)}`);
+    }
+  },
+
   'parsePush: null returns null': () => {
     const r = parsePush(null);
     if (r !== null) throw new Error(`Expected null, got ${JSON.stringify(r)}`);
   },
 
+  'checkPush: accepts well-formed pushes and ignores other values': () => {
+    for (const expr of ['push(draft)', 'push(form, key=uuid, prefix=log-)', 'toggle', 'pushed', null]) {
+      if (checkPush(expr) !== null) throw new Error(`Expected null for ${expr}, got ${checkPush(expr)}`);
+    }
+  },
+
+  'checkPush: explains malformed pushes': () => {
+    if (!/malformed/.test(checkPush('push draft'))) throw new Error(checkPush('push draft'));
+    if (!/source path/.test(checkPush('push'))) throw new Error(checkPush('push'));
+    if (!/unknown push option/.test(checkPush('push(draft, rest=x)'))) throw new Error(checkPush('push(draft, rest=x)'));
+  },
+
+  // parseCondition
+
+  'parseCondition: plain path': () => {
+    const r = parseCondition('ui.open');
+    if (r.path !== 'ui.open' || r.negate !== false) throw new Error(`Got ${JSON.stringify(r)}`);
+  },
+
+  'parseCondition: !path negates': () => {
+    const r = parseCondition('!ui.open');
+    if (r.path !== 'ui.open' || r.negate !== true) throw new Error(`Got ${JSON.stringify(r)}`);
+  },
+
+  'integration: negated condition follows store value': () => {
+    const t = createEventTest({ ui: { open: false } });
+    const { path, negate } = parseCondition('!ui.open');
+    const shown = () => negate ? !t.store.get(path) : !!t.store.get(path);
+    if (shown() !== true) throw new Error('Expected else branch shown while ui.open is false');
+    t.trigger('ui.open', true);
+    if (shown() !== false) throw new Error('Expected content hidden once ui.open is true');
+  },
+
+  // collectionEntries / planMoves
+
+  'collectionEntries: array keyed by id, sorted by field': () => {
+    const rows = [{ id: 'u2', name: 'Zoe' }, { id: 'u1', name: 'Ann' }];
+    const r = collectionEntries(rows, { key: 'id', sortBy: 'name' });
+    const got = r.map(e => `${e.key}@${e.seg}`).join(',');
+    if (got !== 'u1@1,u2@0') throw new Error(`Expected 'u1@1,u2@0', got '${got}'`);
+  },
+
+  'planMoves: moving one item costs one move': () => {
+    const r = planMoves(['a', 'b', 'c', 'd', 'e'], ['b', 'c', 'd', 'e', 'a']);
+    if (r.size !== 1 || !r.has('a')) throw new Error(`Expected only 'a' to move, got ${JSON.stringify([...r])}`);
+  },
+
+  'affectsCollection: only view fields make leaf edits structural': () => {
+    const view = { sortBy: 'name', filter: '!archived' };
+    const got = ['u1', 'u1.bio', 'u1.name', 'u1.archived'].map(p => affectsCollection(p, view)).join(',');
+    if (got !== 'true,false,true,true') throw new Error(`Expected 'true,false,true,true', got '${got}'`);
+  },
+
+  'integration: wildcard detail drives collection change detection': () => {
+    const t = createEventTest({ users: { u1: { name: 'Ann', bio: '' } } });
+    const seen = [];
+    t.store.subscribe('users.*', ({ path }) => seen.push(affectsCollection(path.slice('users.'.length), { sortBy: 'name' })));
+    t.trigger('users.u1.bio', 'Hi');
+    t.trigger('users.u1.name', 'Zed');
+    t.trigger('users.u2', { name: 'Bob' });
+    if (seen.join(',') !== 'false,true,true') throw new Error(`Expected 'false,true,true', got '${seen.join(',')}'`);
+  },
+
+  'visibleRange: window follows scrolling with overscan': () => {
+    const a = visibleRange(0, 320, 32, 10000, 5);
+    const b = visibleRange(32 * 500, 320, 32, 10000, 5);
+    if (a.start !== 0 || a.end !== 15) throw new Error(`Expected 0-15, got ${a.start}-${a.end}`);
+    if (b.start !== 495 || b.end !== 515) throw new Error(`Expected 495-515, got ${b.start}-${b.end}`);
+  },
+
+  'integration: windowed slice keeps keys and paths': () => {
+    const t = createEventTest({ logs: Array.from({ length: 1000 }, (_, i) => ({ id: `l${i}` })) });
+    const entries = collectionEntries(t.store.get('logs'), { key: 'id' });
+    const { start, end } = visibleRange(3200, 320, 32, entries.length, 0);
+    const slice = entries.slice(start, end);
+    if (slice.length !== 10 || slice[0].key !== 'l100' || slice[0].seg !== '100') {
+      throw new Error(`Unexpected window ${JSON.stringify(slice.map(e => e.key))}`);
+    }
+  },
+
+  'transitionTimeout: computed style -> longest run in ms': () => {
+    const ms = transitionTimeout({
+      transitionDuration: '150ms, 0.3s', transitionDelay: '0s, 100ms',
+      animationDuration: '0s', animationDelay: '0s'
+    });
+    if (ms !== 400) throw new Error(`Expected 400, got ${ms}`);
+  },
+
+  'scopePath: partial paths resolve against the scope': () => {
+    const got = scopePath(".name + ' (' + .address.city + ')'", 'users.u1');
+    if (got !== "users.u1.name + ' (' + users.u1.address.city + ')'") throw new Error(`Got ${got}`);
+  },
+
+  'integration: scoped partial reads and writes through the scope': () => {
+    const t = createEventTest({ users: { u1: { name: 'Ada', active: false } } });
+    const target = parseSetExpr(scopePath('.active:toggle', 'users.u1'));
+    t.trigger(target.path, evalExpr(target.expr, t.store.get(target.path)));
+    t.assertPath('users.u1.active', true);
+    const b = parseBinding(scopePath('.name | uppercase', 'users.u1'));
+    if (evalBinding(b, p => t.store.get(p)) !== 'ADA') throw new Error('Expected ADA');
+  },
+
+  'integration: re-sorting follows a leaf edit': () => {
+    const t = createEventTest({ users: { u1: { name: 'Ann' }, u2: { name: 'Bob' } } });
+    const before = collectionEntries(t.store.get('users'), { sortBy: 'name' }).map(e => e.key);
+    t.trigger('users.u1.name', 'Zed');
+    const after = collectionEntries(t.store.get('users'), { sortBy: 'name' }).map(e => e.key);
+    if (after.join(',') !== 'u2,u1') throw new Error(`Expected 'u2,u1', got '${after.join(',')}'`);
+    const moves = planMoves(before, after);
+    if (moves.size !== 1) throw new Error(`Expected 1 move, got ${moves.size}`);
+  },
+
+  'integration: deleting an array item leaves an array': () => {
+    const t = createEventTest({ rows: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] });
+    const rows = t.store.get('rows');
+    t.trigger('rows', rows.filter((_, i) => String(i) !== '1'));
+    const ids = t.store.get('rows').map(r => r.id).join(',');
+    if (ids !== 'a,c') throw new Error(`Expected 'a,c', got '${ids}'`);
+    const keys = collectionEntries(t.store.get('rows'), { key: 'id' }).map(e => e.key).join(',');
+    if (keys !== 'a,c') throw new Error(`Expected keys 'a,c', got '${keys}'`);
+  },
+
   // Store integration via eventTest
 
   'integration: evalExpr increment with store value': () => {
@@ -154,6 +768,23 @@ const results = runTests({
     t.assertPath('count', 11);
   },
 
+  'integration: action keyword clamps store value': () => {
+    const t = createEventTest({ volume: 9 });
+    const actions = { clamp: (cur, lo, hi) => Math.min(hi, Math.max(lo, cur)) };
+    const bump = { ...actions, bump: (cur, by) => actions.clamp(cur + by, 0, 10) };
+    t.trigger('volume', evalExpr('bump(5)', t.store.get('volume'), { actions: bump }));
+    t.assertPath('volume', 10);
+  },
+
+  'integration: total += item.price, clamped by max path': () => {
+    const t = createEventTest({ total: 8, item: { price: 5 }, limits: { max: 10 } });
+    const ctx = { get: p => t.store.get(p) };
+    t.trigger('total', evalExpr('+=item.price', t.store.get('total'), ctx));
+    t.assertPath('total', 13);
+    t.trigger('total', evalExpr('min(limits.max)', t.store.get('total'), ctx));
+    t.assertPath('total', 10);
+  },
+
   'integration: evalExpr toggle with store value': () => {
     const t = createEventTest({ ui: { darkMode: false } });
     t.assertPath('ui.darkMode', false);